@@ -1,15 +1,32 @@
 #!/usr/bin/env node
 
 import { createRequire } from 'node:module';
-import { program } from 'commander';
+import { program, Option } from 'commander';
 import fs from 'node:fs';
 import path from 'node:path';
 import { extractInput } from '../src/extract.js';
 import { parseNote } from '../src/parse-note.js';
 import { parseZnoteExport } from '../src/parse-znote.js';
-import { convertNote } from '../src/convert.js';
+import { convertNote, convertFolderNote } from '../src/convert.js';
 import { buildNameMap } from '../src/names.js';
-import { writeOutput } from '../src/writer.js';
+import { planAttachments } from '../src/attachments.js';
+import { inferTitles } from '../src/titles.js';
+import { planFolderNotes, printCoverReport } from '../src/notebooks.js';
+import { COLOR_MODES } from '../src/colors.js';
+import { TAG_STYLES, DEFAULT_BASE_TAG } from '../src/tags.js';
+import { parseTimezone } from '../src/dates.js';
+import { loadConfig } from '../src/config.js';
+import {
+  LOG_FORMATS, EXIT_CODES, createDiagnostics, setDiagnostics, diagnostic, withNote, parseFailOn,
+} from '../src/diagnostics.js';
+import { DAILY_NOTES_FOLDER, DAILY_NOTES_FORMAT } from '../src/daily-notes.js';
+import { MOC_SORTS } from '../src/moc.js';
+import { buildManifest, writeManifest } from '../src/manifest.js';
+import { buildImportReport, writeImportReport, REPORT_NOTE } from '../src/report.js';
+import { printDryRun } from '../src/dry-run.js';
+import { CONFLICT_POLICIES, resolveCollisions, printCollisions } from '../src/conflicts.js';
+import { loadState } from '../src/state.js';
+import { writeOutput, planGeneratedFiles } from '../src/writer.js';
 
 const require = createRequire(import.meta.url);
 const { version } = require('../package.json');
@@ -21,13 +38,69 @@ program
   .argument('<input>', 'Path to Zoho export .zip or extracted folder')
   .argument('<output>', 'Path to output directory (created if needed)')
   .option('--skip-empty', 'Skip notes with no content', false)
+  .option('--infer-titles', 'Title "Untitled" notes from their content', false)
+  .option('--unwrap-zips', 'Extract single-file .zip wrappers on file attachments', false)
+  .option('--attachments <layout>', 'Where attachments go: global, per-notebook, per-note, or a folder template '
+    + 'using {notebook} and {note}', 'global')
+  .addOption(new Option('--note-colors <mode>', 'Keep card colors as frontmatter + CSS classes, as tags, or not at all')
+    .choices(COLOR_MODES)
+    .default('frontmatter'))
+  .addOption(new Option('--tag-style <style>', 'Notebook tags: flat (café-ideas), nested (<base-tag>/café-ideas) or none')
+    .choices(TAG_STYLES)
+    .default('flat'))
+  .option('--base-tag <tag>', 'Tag added to every note; "" for none', DEFAULT_BASE_TAG)
+  .option('--strip-hashtags', 'Remove inline #hashtags from note text once they are added to tags', false)
+  .option('--note-stats', 'Add card type, word count, task, attachment and link counts to frontmatter', false)
+  .option('--date-format <format>', 'created/modified format: date, datetime, or a pattern like "YYYY-MM-DD HH:mm"',
+    'date')
+  .option('--timezone <zone>', 'Timezone for dates: source (as written by Zoho), local, or an IANA name', 'source')
+  .option('--file-times', "Set each note file's modified time to the note's Zoho modified date", false)
+  .option('--task-dates', 'Add Tasks-plugin due dates and reminder times to checklist items', false)
+  .option('--folder-notes', 'Write a folder note per notebook with its metadata and cover image', false)
+  .option('--moc', 'Write a map-of-content note per notebook and a "Zoho Notebook Import" home note', false)
+  .addOption(new Option('--moc-sort <field>', 'Order of notes in each map of content')
+    .choices(MOC_SORTS)
+    .default('title'))
+  .option('--canvas', 'Write a canvas per notebook laying out its notes as colored cards', false)
+  .option('--daily-notes', 'Link each note from an "Imported from Zoho" section in the daily note of its creation date',
+    false)
+  .option('--daily-notes-folder <folder>', 'Daily notes folder ("" for the vault root)', DAILY_NOTES_FOLDER)
+  .option('--daily-notes-format <format>', 'Daily note filename pattern, e.g. "YYYY/MM/YYYY-MM-DD"', DAILY_NOTES_FORMAT)
+  .option('--keep-unreferenced', 'Copy export files no note references to attachments/_unreferenced/', false)
+  .option('--config <file>', 'JSON config file (frontmatter property mapping)')
+  .option('--report', `Write "${REPORT_NOTE}" into the vault listing what needs attention after the import`, false)
+  .option('--manifest <file>', 'Write a JSON manifest of the migration to <file>')
+  .option('--incremental', 'Only rewrite notes changed since the last run; never overwrite local edits', false)
+  .addOption(new Option('--on-conflict <policy>', 'What to do with files that already exist in the output directory')
+    .choices(CONFLICT_POLICIES)
+    .default('overwrite'))
+  .option('--dry-run', 'Show what would be written without writing anything', false)
   .option('--verbose', 'Log each file being processed', false)
+  .addOption(new Option('--log-format <format>', 'Warnings and errors as text or JSON lines (on stderr)')
+    .choices(LOG_FORMATS)
+    .default('text'))
+  .option('--quiet', "Don't print warnings as they happen; errors and the final tally still are", false)
+  .option('--strict', 'Exit with code 5 when any warning was reported', false)
+  .option('--fail-on <codes>', 'Comma-separated diagnostic codes that fail the run (exit code 5), e.g. INVALID_DATE')
   .action(run);
 
 program.parse();
 
 async function run(input, output, options) {
+  const diagnostics = setDiagnostics(createDiagnostics({
+    format: options.logFormat,
+    quiet: options.quiet,
+    verbose: options.verbose,
+  }));
+  // Errors before conversion starts are problems with the input or options
+  let inputChecked = false;
+  let failOn = [];
+  let exitCode = null;
   try {
+    failOn = parseFailOn(options.failOn);
+    parseTimezone(options.timezone);
+    const config = options.config ? loadConfig(options.config) : {};
+
     // Step 1: Extract input
     console.log(`Reading from: ${input}`);
     const { dataDir, format, cleanup } = extractInput(input);
@@ -35,6 +108,7 @@ async function run(input, output, options) {
     let znoteCleanup = () => {};
     try {
       let notes;
+      let failures = [];
 
       if (format === 'znote') {
         // Znote format: parse notebook folders with .znote tar archives
@@ -43,6 +117,7 @@ async function run(input, output, options) {
 
         const result = parseZnoteExport(dataDir);
         notes = result.notes;
+        failures = result.failures;
         znoteCleanup = result.cleanup;
 
         if (notes.length === 0) {
@@ -65,7 +140,20 @@ async function run(input, output, options) {
         console.log(`Found ${htmlFiles.length} notes.`);
 
         if (options.verbose) console.log('\nParsing notes...');
-        notes = htmlFiles.map(f => parseNote(f));
+        notes = [];
+        for (const file of htmlFiles) {
+          try {
+            notes.push(parseNote(file));
+          } catch (err) {
+            diagnostic('NOTE_PARSE_FAILED', `Failed to parse: ${err.message}`, { source: path.basename(file) });
+            failures.push({ file: path.basename(file), reason: err.message });
+          }
+        }
+      }
+
+      // Replace "Untitled" with a title inferred from content (before names and links use it)
+      if (options.inferTitles) {
+        notes = inferTitles(notes);
       }
 
       // Build note ID lookup for internal link resolution
@@ -77,22 +165,136 @@ async function run(input, output, options) {
       // Build filename map
       const nameMap = buildNameMap(notes);
 
+      // Decide attachment folders and filenames (detects audio formats, unwraps .zip wrappers)
+      const attachmentPlan = planAttachments(notes, dataDir, {
+        unwrapZips: options.unwrapZips,
+        layout: options.attachments,
+        nameMap,
+      });
+      inputChecked = true;
+
+      // Folder notes for each notebook, with covers matched from PrivateCovers/
+      const notebookPlan = options.folderNotes
+        ? planFolderNotes(notes, nameMap, dataDir, { layout: options.attachments })
+        : null;
+      const writeOptions = {
+        ...options,
+        attachmentPlan,
+        folderNotes: notebookPlan?.folderNotes,
+        colors: options.noteColors,
+        moc: options.moc ? { sort: options.mocSort } : null,
+        dailyNotes: options.dailyNotes
+          ? { folder: options.dailyNotesFolder, format: options.dailyNotesFormat }
+          : null,
+      };
+
+      // Folder notes and covers, canvases, index notes, the CSS snippet, kept
+      // unreferenced files and the report go through the collision policy too
+      const outputDir = path.resolve(output);
+      const generatedFiles = planGeneratedFiles(notes, nameMap, dataDir, outputDir, writeOptions);
+
+      // Apply the collision policy to files already in the output directory.
+      // Files of notes in this export written by a previous incremental run are
+      // ours, not collisions; the writer moves them out of the way if needed.
+      // Files of notes no longer in the export are treated like any other file.
+      const exportedIds = new Set(notes.map(note => note.noteId));
+      const ownedPaths = options.incremental
+        ? new Set(Object.entries(loadState(outputDir).notes)
+          .filter(([noteId]) => exportedIds.has(noteId))
+          .map(([, entry]) => entry.path))
+        : new Set();
+      const collisions = resolveCollisions(nameMap, attachmentPlan, outputDir, options.onConflict, ownedPaths, generatedFiles);
+      if (options.onConflict === 'fail' && collisions.length > 0 && !options.dryRun) {
+        printCollisions(collisions);
+        throw new Error(`${collisions.length} files already exist in the output directory (--on-conflict fail).`);
+      }
+
+      // Point internal links at renamed notes, by note ID and by title
+      const renamedTitles = new Map();
+      for (const { type, index, renamedTo } of collisions) {
+        if (type === 'note' && renamedTo) {
+          const renamed = path.posix.basename(renamedTo, '.md');
+          noteIdToTitle.set(notes[index].noteId, renamed);
+          renamedTitles.set(notes[index].title, renamed);
+        }
+      }
+
+      // Folder notes embed their cover where the collision policy put it
+      const folderNotes = notebookPlan?.folderNotes.map(folderNote => {
+        const cover = folderNote.cover
+          && { ...folderNote.cover, path: generatedFiles.find(file => file.path === folderNote.cover.path).dest };
+        const planned = { ...folderNote, cover };
+        return { ...planned, markdown: convertFolderNote(planned, { ...options, frontmatter: config.frontmatter }) };
+      });
+
       // Convert each note
       if (options.verbose) console.log('\nConverting...');
-      const converted = notes.map(note => convertNote(note, noteIdToTitle));
+      const converted = notes.map((note, i) => withNote(note, () =>
+        convertNote(note, noteIdToTitle, {
+          attachments: attachmentPlan.get(i),
+          renamedTitles,
+          colors: options.noteColors,
+          taskDates: options.taskDates,
+          dateFormat: options.dateFormat,
+          timezone: options.timezone,
+          tagStyle: options.tagStyle,
+          baseTag: options.baseTag,
+          stripHashtags: options.stripHashtags,
+          frontmatter: config.frontmatter,
+          noteStats: options.noteStats,
+        })));
 
       // Write output
-      if (options.verbose) console.log('\nWriting output...');
-      const outputDir = path.resolve(output);
-      writeOutput(notes, converted, nameMap, dataDir, outputDir, options);
+      if (options.verbose) console.log(options.dryRun ? '\nPlanning output...' : '\nWriting output...');
+      const stats = writeOutput(notes, converted, nameMap, dataDir, outputDir, { ...writeOptions, folderNotes, generatedFiles });
+      printCollisions(collisions);
+      if (notebookPlan) printCoverReport(notebookPlan);
+
+      if (options.dryRun) {
+        printDryRun(notes, nameMap, stats, outputDir);
+        if (options.report) console.log('Report not written (dry run).');
+        if (options.manifest) console.log('Manifest not written (dry run).');
+        return;
+      }
 
       console.log(`\nOutput written to: ${outputDir}`);
+
+      if (options.report && !stats.report) {
+        console.log(`Import report not written: ${REPORT_NOTE} already exists (--on-conflict skip).`);
+      } else if (options.report) {
+        writeImportReport(outputDir, buildImportReport({ notes, converted, stats, failures }), stats.report);
+        console.log(`Import report written to: ${path.join(outputDir, stats.report)}`);
+      }
+
+      if (options.manifest) {
+        const manifestPath = path.resolve(options.manifest);
+        const manifest = buildManifest({
+          notes,
+          converted,
+          nameMap,
+          stats,
+          outputDir,
+          attachmentPlan,
+          source: { input: path.resolve(input), format },
+          generator: `zoho-notebook-to-obsidian@${version}`,
+        });
+        writeManifest(manifestPath, manifest);
+        console.log(`Manifest written to: ${manifestPath}`);
+      }
     } finally {
       znoteCleanup(); // safe: initialized as () => {} for HTML format
       cleanup();
     }
   } catch (err) {
-    console.error(`Error: ${err.message}`);
-    process.exit(1);
+    if (options.logFormat === 'json') {
+      process.stderr.write(JSON.stringify({ type: 'fatal', message: err.message }) + '\n');
+    } else {
+      console.error(`Error: ${err.message}`);
+    }
+    exitCode = inputChecked ? EXIT_CODES.fatal : EXIT_CODES.input;
+  } finally {
+    exitCode ??= diagnostics.exitCode({ strict: options.strict, failOn });
+    diagnostics.printTally(exitCode);
+    process.exitCode = exitCode;
   }
 }
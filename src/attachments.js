@@ -0,0 +1,241 @@
+/**
+ * Decide where each referenced attachment lands in the vault.
+ * The plan is shared by convert.js (embed paths) and writer.js (copy targets)
+ * so the two always agree.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import AdmZip from 'adm-zip';
+import { normalizeFilename, nextFreeName } from './utils.js';
+import { sanitizeFilename } from './names.js';
+import { sniffAudioFile } from './audio.js';
+
+/**
+ * Named attachment layouts. Anything else passed as a layout is treated as a
+ * custom folder template using the same placeholders:
+ *   {notebook} - the note's notebook folder
+ *   {note}     - the note's filename without .md
+ */
+export const ATTACHMENT_LAYOUTS = {
+  global: 'attachments',
+  'per-notebook': '{notebook}/attachments',
+  'per-note': '{notebook}/attachments/{note}',
+};
+
+const PLACEHOLDERS = ['{notebook}', '{note}'];
+
+/**
+ * Build the attachment plan for all notes.
+ * Returns a Map from note index to Map<ref, entry>, where `ref` is the raw
+ * reference from the note and entry is:
+ *   folder      - vault-relative folder the file lands in (from the layout)
+ *   dest        - path relative to `folder`
+ *   src         - absolute source path, or null if missing or refused (see safeCopy)
+ *   sha256      - hash of the content that will be written, or null without a source
+ *   kind        - 'image', 'file' or 'audio'
+ *   audioFormat - extension detected for audio, or null
+ *   unwrapEntry - name of the file to extract from a .zip wrapper, or null
+ *   zipKept     - true when unwrapping was requested but the zip was left as-is
+ *
+ * Options:
+ *   unwrapZips - extract single-file .zip wrappers on file attachments
+ *                (ZOHO-EXPORT-ISSUES #3)
+ *   layout     - a name from ATTACHMENT_LAYOUTS or a custom folder template
+ *                (default 'global')
+ *   nameMap    - from buildNameMap(); required by layouts that use
+ *                {notebook} or {note}
+ *
+ * Files are deduplicated by content within each folder: identical files share
+ * one destination, and different files that would land on the same name get
+ * distinct names (e.g. two Znote notes each carrying their own `image.png`).
+ */
+export function planAttachments(notes, dataDir, options = {}) {
+  const template = parseAttachmentLayout(options.layout ?? 'global');
+  const plan = new Map();
+
+  for (let i = 0; i < notes.length; i++) {
+    const note = notes[i];
+    const srcDir = note.attachmentDir || dataDir;
+    const folder = attachmentFolder(template, options.nameMap?.get(i));
+    const entries = new Map();
+
+    for (const img of note.images || []) {
+      if (entries.has(img)) continue;
+      entries.set(img, planEntry(folder, normalizeFilename(img), 'image', { src: resolveSource(srcDir, img) }));
+    }
+
+    for (const att of note.attachments || []) {
+      if (entries.has(att)) continue;
+      const dest = normalizeFilename(att);
+
+      if (path.extname(dest)) {
+        const entry = planEntry(folder, dest, 'file', { src: resolveSource(srcDir, att) });
+        if (options.unwrapZips && path.extname(dest).toLowerCase() === '.zip') {
+          const originalName = note.attachmentNames?.get(att);
+          const unwrapEntry = findWrappedFile(srcDir, att, originalName);
+          if (unwrapEntry) {
+            // Keep the zip's ID as a folder so same-named originals never collide
+            entry.dest = `${dest.slice(0, -4)}/${sanitizeFilename(normalizeFilename(originalName))}`;
+            entry.unwrapEntry = unwrapEntry;
+          } else {
+            entry.zipKept = true;
+          }
+        }
+        entries.set(att, entry);
+        continue;
+      }
+
+      // Extensionless attachments are audio cards (ZOHO-EXPORT-ISSUES #2)
+      const audioFormat = sniffSourceAudio(srcDir, att);
+      const audioDest = audioFormat ? `${dest}.${audioFormat}` : dest;
+      entries.set(att, planEntry(folder, audioDest, 'audio', { src: resolveSource(srcDir, att), audioFormat }));
+    }
+
+    plan.set(i, entries);
+  }
+
+  dedupeByContent(plan);
+  return plan;
+}
+
+/**
+ * Vault path of a planned attachment, as used in embeds and reports.
+ */
+export function attachmentVaultPath(entry) {
+  return `${entry.folder}/${entry.dest}`;
+}
+
+/**
+ * Resolve an --attachments value to a folder template. Throws on unknown
+ * placeholders and on templates that could leave the vault.
+ */
+export function parseAttachmentLayout(layout) {
+  const template = ATTACHMENT_LAYOUTS[layout] ?? layout;
+  const unknown = (template.match(/\{[^}]*\}/g) || []).filter(p => !PLACEHOLDERS.includes(p));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown placeholder ${unknown[0]} in attachment layout "${layout}" `
+      + `(expected ${Object.keys(ATTACHMENT_LAYOUTS).join(', ')} or a template using ${PLACEHOLDERS.join(' and ')})`);
+  }
+  const segments = template.split('/');
+  if (template.includes('\\') || segments.some(s => s === '' || s === '.' || s === '..')) {
+    throw new Error(`Attachment layout "${layout}" must be a relative folder inside the vault`);
+  }
+  return template;
+}
+
+/**
+ * Folder an attachment of the given note ({ folder, filename }) lands in under `layout`.
+ */
+export function resolveAttachmentFolder(layout, names) {
+  return attachmentFolder(parseAttachmentLayout(layout), names);
+}
+
+function attachmentFolder(template, names) {
+  if (!PLACEHOLDERS.some(p => template.includes(p))) return template;
+  if (!names) throw new Error('Attachment layouts using {notebook} or {note} need the note name map');
+  return template
+    .replaceAll('{notebook}', names.folder)
+    .replaceAll('{note}', names.filename.replace(/\.md$/, ''));
+}
+
+function planEntry(folder, dest, kind, extra = {}) {
+  return { folder, dest, src: null, sha256: null, kind, audioFormat: null, unwrapEntry: null, zipKept: false, ...extra };
+}
+
+/**
+ * Give every distinct file content exactly one destination per folder, in note order.
+ */
+function dedupeByContent(plan) {
+  const destByHash = new Map(); // folder + hash → dest
+  const claimed = new Set(); // vault paths taken by a hashed file
+  const plannedPaths = new Set();
+  for (const entries of plan.values()) {
+    for (const entry of entries.values()) plannedPaths.add(attachmentVaultPath(entry));
+  }
+
+  for (const entries of plan.values()) {
+    for (const entry of entries.values()) {
+      if (!entry.src) continue;
+      entry.sha256 = hashSource(entry);
+      if (!entry.sha256) continue;
+
+      const hashKey = `${entry.folder}\0${entry.sha256}`;
+      if (destByHash.has(hashKey)) {
+        entry.dest = destByHash.get(hashKey);
+        continue;
+      }
+
+      if (claimed.has(attachmentVaultPath(entry))) {
+        // Same name, different file: pick a free sibling name
+        const dir = path.posix.dirname(entry.dest);
+        const filename = nextFreeName(path.posix.basename(entry.dest), name =>
+          plannedPaths.has(`${entry.folder}/${dir === '.' ? name : `${dir}/${name}`}`));
+        entry.dest = dir === '.' ? filename : `${dir}/${filename}`;
+        plannedPaths.add(attachmentVaultPath(entry));
+      }
+
+      destByHash.set(hashKey, entry.dest);
+      claimed.add(attachmentVaultPath(entry));
+    }
+  }
+}
+
+function hashSource(entry) {
+  try {
+    const data = entry.unwrapEntry
+      ? new AdmZip(entry.src).readFile(entry.unwrapEntry)
+      : fs.readFileSync(entry.src);
+    return data ? crypto.createHash('sha256').update(data).digest('hex') : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Sniff an attachment's audio format. Anything safeCopy would refuse
+ * is left undetected.
+ */
+function sniffSourceAudio(srcBase, filename) {
+  const src = resolveSource(srcBase, filename);
+  return src ? sniffAudioFile(src) : null;
+}
+
+/**
+ * Check whether a Zoho .zip wrapper holds exactly one file named like the
+ * original attachment (the link text). Returns the zip entry name, or null
+ * when the zip should be kept as-is.
+ */
+function findWrappedFile(srcBase, filename, originalName) {
+  if (!originalName) return null;
+  const src = resolveSource(srcBase, filename);
+  if (!src) return null;
+
+  let files;
+  try {
+    files = new AdmZip(src).getEntries().filter(e => !e.isDirectory);
+  } catch {
+    return null; // Not a readable zip
+  }
+  if (files.length !== 1) return null;
+
+  const innerName = normalizeFilename(path.posix.basename(files[0].entryName.replace(/\\/g, '/')));
+  if (innerName !== normalizeFilename(originalName).trim()) return null;
+  return files[0].entryName;
+}
+
+/**
+ * Resolve an attachment inside its source directory, applying the same
+ * boundary and symlink rules as safeCopy. Returns null if it would be refused.
+ */
+function resolveSource(srcBase, filename) {
+  const src = path.resolve(srcBase, filename);
+  if (!src.startsWith(path.resolve(srcBase) + path.sep)) return null;
+  try {
+    if (!fs.lstatSync(src).isFile()) return null;
+  } catch {
+    return null;
+  }
+  return src;
+}
@@ -0,0 +1,68 @@
+/**
+ * Detect audio container formats from file contents.
+ * Zoho exports audio cards without a file extension (ZOHO-EXPORT-ISSUES #2),
+ * so the only reliable signal is the file's magic bytes.
+ */
+
+import fs from 'node:fs';
+
+const SNIFF_BYTES = 64;
+
+/**
+ * Identify an audio format from the leading bytes of a file.
+ * @param {Buffer} buf - at least the first few dozen bytes of the file
+ * @returns {string|null} file extension without the dot, or null if unknown
+ */
+export function detectAudioFormat(buf) {
+  if (!buf || buf.length < 4) return null;
+
+  // MP4 family: box size (4 bytes) followed by "ftyp" and a major brand
+  if (buf.length >= 12 && buf.toString('latin1', 4, 8) === 'ftyp') {
+    const brand = buf.toString('latin1', 8, 12);
+    if (brand.startsWith('3gp') || brand.startsWith('3g2')) return '3gp';
+    return 'm4a';
+  }
+
+  // WebM/Matroska: EBML header, DocType "webm" distinguishes WebM from plain Matroska
+  if (buf[0] === 0x1A && buf[1] === 0x45 && buf[2] === 0xDF && buf[3] === 0xA3) {
+    return buf.includes('webm', 0, 'latin1') ? 'webm' : 'mka';
+  }
+
+  if (buf.toString('latin1', 0, 4) === 'OggS') return 'ogg';
+
+  if (buf.length >= 12 && buf.toString('latin1', 0, 4) === 'RIFF'
+    && buf.toString('latin1', 8, 12) === 'WAVE') {
+    return 'wav';
+  }
+
+  // "#!AMR\n" (narrowband) or "#!AMR-WB\n" (wideband)
+  if (buf.toString('latin1', 0, 5) === '#!AMR') return 'amr';
+
+  if (buf.toString('latin1', 0, 3) === 'ID3') return 'mp3';
+
+  // Bare MPEG audio frame: 11-bit sync word, layer bits non-zero (00 is AAC ADTS)
+  if (buf[0] === 0xFF && (buf[1] & 0xE0) === 0xE0 && (buf[1] & 0x06) !== 0) {
+    return 'mp3';
+  }
+
+  return null;
+}
+
+/**
+ * Read the head of a file and identify its audio format.
+ * @param {string} filePath - absolute path to a regular file
+ * @returns {string|null} file extension without the dot, or null if unknown/unreadable
+ */
+export function sniffAudioFile(filePath) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const buf = Buffer.alloc(SNIFF_BYTES);
+    const bytesRead = fs.readSync(fd, buf, 0, SNIFF_BYTES, 0);
+    return detectAudioFormat(buf.subarray(0, bytesRead));
+  } catch {
+    return null;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
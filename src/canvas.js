@@ -0,0 +1,88 @@
+/**
+ * Obsidian Canvas boards that mirror Zoho's grid of note cards, one per notebook.
+ * The export doesn't record card positions, so cards follow Zoho's default
+ * sort: most recently modified first.
+ */
+
+import crypto from 'node:crypto';
+import { colorName } from './colors.js';
+import { toDate } from './dates.js';
+
+const COLUMNS = 4;
+const CARD_WIDTH = 260;
+const CARD_HEIGHT = 300;
+const GAP = 40;
+
+/**
+ * Plan one canvas per notebook folder, at `<folder>/<folder>.canvas`.
+ * @param {object[]} notes - NoteData array
+ * @param {object[]} converted - convertNote() results, indexed like notes
+ * @param {object[]} noteResults - writeOutput() results; only written notes get a card
+ * @param {object} [options]
+ * @param {string} [options.colors] - 'none' leaves cards untinted
+ * @returns {{ folder: string, path: string, canvas: object }[]}
+ */
+export function planCanvases(notes, converted, noteResults, options = {}) {
+  const byFolder = new Map();
+  for (let i = 0; i < notes.length; i++) {
+    const notePath = noteResults[i]?.path;
+    if (!notePath) continue;
+    const folder = notePath.slice(0, notePath.lastIndexOf('/'));
+    if (!byFolder.has(folder)) byFolder.set(folder, []);
+    byFolder.get(folder).push(i);
+  }
+
+  return [...byFolder.keys()].sort().map(folder => {
+    const indices = byFolder.get(folder).sort((a, b) => modifiedTime(notes[b]) - modifiedTime(notes[a]) || a - b);
+    const nodes = indices.map((i, position) => {
+      // Photo cards show the image itself; everything else embeds the note
+      const image = converted[i].cardType === 'photo' ? noteResults[i].attachments[0] : null;
+      const file = image || noteResults[i].path;
+      const node = {
+        id: nodeId(noteResults[i].path),
+        type: 'file',
+        file,
+        x: (position % COLUMNS) * (CARD_WIDTH + GAP),
+        y: Math.floor(position / COLUMNS) * (CARD_HEIGHT + GAP),
+        width: CARD_WIDTH,
+        height: CARD_HEIGHT,
+      };
+      const color = options.colors === 'none' ? null : canvasColor(notes[i].color);
+      if (color) node.color = color;
+      return node;
+    });
+    return { folder, path: canvasPath(folder), canvas: { nodes, edges: [] } };
+  });
+}
+
+/**
+ * Vault path of a notebook's canvas.
+ */
+export function canvasPath(folder) {
+  return `${folder}/${folder}.canvas`;
+}
+
+/**
+ * Canvas file contents, indented with tabs as Obsidian writes them.
+ */
+export function serializeCanvas(canvas) {
+  return JSON.stringify(canvas, null, '\t') + '\n';
+}
+
+/**
+ * Canvas nodes take any "#RRGGBB" color; white (the default card) stays untinted.
+ */
+function canvasColor(color) {
+  if (!colorName(color)) return null;
+  const hex = color.trim().slice(1);
+  return `#${(hex.length === 3 ? [...hex].map(c => c + c).join('') : hex).toUpperCase()}`;
+}
+
+function modifiedTime(note) {
+  return toDate(note.modifiedDate || note.createdDate)?.getTime() ?? 0;
+}
+
+// Stable across runs, so re-imports don't reshuffle node IDs
+function nodeId(notePath) {
+  return crypto.createHash('sha256').update(notePath).digest('hex').slice(0, 16);
+}
@@ -0,0 +1,102 @@
+/**
+ * Map Zoho note colors to a named palette for frontmatter, CSS classes and tags.
+ */
+
+export const COLOR_MODES = ['frontmatter', 'tags', 'none'];
+
+export const COLOR_SNIPPET_PATH = '.obsidian/snippets/zoho-note-colors.css';
+
+// Named card colors, with the tint used in the CSS snippet. White is the
+// default card and gets no class or tag.
+const PALETTE = [
+  { name: 'white', hex: '#FFFFFF' },
+  { name: 'yellow', hex: '#FFD966' },
+  { name: 'orange', hex: '#FF9966' },
+  { name: 'red', hex: '#F28B82' },
+  { name: 'pink', hex: '#F8BBD0' },
+  { name: 'purple', hex: '#D7AEFB' },
+  { name: 'blue', hex: '#8AB4F8' },
+  { name: 'teal', hex: '#A7E0E0' },
+  { name: 'green', hex: '#A8D8A8' },
+  { name: 'brown', hex: '#E6C9A8' },
+  { name: 'gray', hex: '#D3D3D3' },
+];
+
+// Hue ranges (degrees, start inclusive) for saturated colors. Zoho's own
+// yellow (#FEBF59) sits at 37°, so yellow starts before pure orange ends.
+const HUES = [
+  { name: 'red', from: 0 },
+  { name: 'orange', from: 15 },
+  { name: 'yellow', from: 33 },
+  { name: 'green', from: 70 },
+  { name: 'teal', from: 160 },
+  { name: 'blue', from: 195 },
+  { name: 'purple', from: 235 },
+  { name: 'pink', from: 310 },
+  { name: 'red', from: 345 },
+];
+
+// Channels this close together read as white or gray, however light
+const MAX_GRAY_SPREAD = 16;
+
+/**
+ * Palette name for a "#RGB" or "#RRGGBB" color, by hue, or null if the color
+ * is missing, unparseable or white. Near-neutral colors are gray (or white);
+ * pale reds are pink and muted oranges brown.
+ */
+export function colorName(color) {
+  const rgb = parseHex(color);
+  if (!rgb) return null;
+
+  const max = Math.max(...rgb);
+  const min = Math.min(...rgb);
+  const lightness = (max + min) / 2 / 255;
+  if (max - min < MAX_GRAY_SPREAD) return lightness > 0.94 ? null : 'gray';
+
+  const saturation = (max - min) / (255 - Math.abs(max + min - 255));
+  const hue = hueOf(rgb, max, min);
+  const { name } = HUES.findLast(range => hue >= range.from);
+  if (name === 'red' && lightness > 0.8) return 'pink';
+  if (name === 'orange' && (saturation < 0.6 || lightness < 0.35)) return 'brown';
+  return name;
+}
+
+export function colorClass(name) {
+  return `zoho-${name}`;
+}
+
+export function colorTag(name) {
+  return `color/${name}`;
+}
+
+/**
+ * CSS snippet tinting notes by their `cssclasses` entry in reading and editing views.
+ */
+export function buildColorSnippet() {
+  const rules = PALETTE.filter(entry => entry.name !== 'white').map(({ name, hex }) => {
+    const [r, g, b] = parseHex(hex);
+    return [
+      `.markdown-preview-view.${colorClass(name)},`,
+      `.markdown-source-view.${colorClass(name)} {`,
+      `  background-color: rgba(${r}, ${g}, ${b}, 0.25);`,
+      '}',
+    ].join('\n');
+  });
+  return `/* Zoho Notebook card colors. Enable in Settings → Appearance → CSS snippets. */\n\n${rules.join('\n\n')}\n`;
+}
+
+function hueOf([r, g, b], max, min) {
+  const spread = max - min;
+  let hue;
+  if (max === r) hue = ((g - b) / spread) % 6;
+  else if (max === g) hue = (b - r) / spread + 2;
+  else hue = (r - g) / spread + 4;
+  return (hue * 60 + 360) % 360;
+}
+
+function parseHex(color) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color ?? '').trim());
+  if (!match) return null;
+  const hex = match[1].length === 3 ? [...match[1]].map(c => c + c).join('') : match[1];
+  return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
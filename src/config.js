@@ -0,0 +1,35 @@
+/**
+ * Read the JSON file given with --config.
+ */
+
+import fs from 'node:fs';
+import { parseFrontmatterConfig } from './frontmatter.js';
+
+const SECTIONS = {
+  frontmatter: parseFrontmatterConfig,
+};
+
+/**
+ * Load and validate a config file. Each known section is parsed by its
+ * module; unknown sections are an error.
+ * @returns {object} parsed sections, e.g. { frontmatter }
+ */
+export function loadConfig(file) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Could not read config file ${file}: ${err.message}`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Config file ${file} must contain a JSON object`);
+  }
+
+  const config = {};
+  for (const [section, value] of Object.entries(raw)) {
+    const parse = SECTIONS[section];
+    if (!parse) throw new Error(`Config file ${file}: unknown section "${section}" (expected ${Object.keys(SECTIONS).join(', ')})`);
+    config[section] = parse(value);
+  }
+  return config;
+}
@@ -0,0 +1,174 @@
+/**
+ * Resolve collisions between planned output and files already in the vault.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import AdmZip from 'adm-zip';
+import { nextFreeName } from './utils.js';
+import { attachmentVaultPath } from './attachments.js';
+
+export const CONFLICT_POLICIES = ['skip', 'overwrite', 'rename', 'fail'];
+
+const RESOLUTIONS = { skip: 'skipped', overwrite: 'overwritten', rename: 'renamed', fail: 'fail' };
+
+/**
+ * Apply a collision policy to every planned note and attachment path that
+ * already exists in `outputDir`. Updates `nameMap` and `attachmentPlan` in place:
+ *   skip      - entry gets `skip: true`; the existing file is left untouched
+ *   overwrite - nothing changes (the historical behavior)
+ *   rename    - entry gets a free name ("Meeting 2.md", "image 2.png")
+ *   fail      - nothing changes; the caller should abort before writing
+ *
+ * Attachments whose existing copy is byte-identical are not collisions, and
+ * `ownedPaths` (vault paths written by a previous incremental run) are ignored.
+ * `generatedFiles` (from planGeneratedFiles()) are resolved the same way, see
+ * resolveGeneratedFiles().
+ *
+ * @returns {object[]} collisions: { type: 'note'|'attachment'|'generated', index, path, resolution, renamedTo }
+ */
+export function resolveCollisions(nameMap, attachmentPlan, outputDir, policy, ownedPaths = new Set(), generatedFiles = []) {
+  if (!CONFLICT_POLICIES.includes(policy)) {
+    throw new Error(`Unknown conflict policy "${policy}" (expected ${CONFLICT_POLICIES.join(', ')})`);
+  }
+
+  const collisions = [];
+  const resolution = RESOLUTIONS[policy];
+
+  // --- Notes ---
+  const plannedNotes = new Set([...nameMap.values()].map(({ folder, filename }) => `${folder}/${filename}`));
+  for (const [index, entry] of nameMap) {
+    const vaultPath = `${entry.folder}/${entry.filename}`;
+    if (ownedPaths.has(vaultPath) || !fs.existsSync(path.join(outputDir, vaultPath))) continue;
+
+    const collision = { type: 'note', index, path: vaultPath, resolution, renamedTo: null };
+    if (policy === 'skip') {
+      nameMap.set(index, { ...entry, skip: true });
+    } else if (policy === 'rename') {
+      const filename = nextFreeName(entry.filename, name => {
+        const candidate = `${entry.folder}/${name}`;
+        return plannedNotes.has(candidate) || fs.existsSync(path.join(outputDir, candidate));
+      });
+      plannedNotes.add(`${entry.folder}/${filename}`);
+      nameMap.set(index, { ...entry, filename });
+      collision.renamedTo = `${entry.folder}/${filename}`;
+    }
+    collisions.push(collision);
+  }
+
+  // --- Attachments ---
+  // Several notes may share one file; resolve each destination once
+  const plannedPaths = new Set();
+  for (const entries of attachmentPlan.values()) {
+    for (const entry of entries.values()) plannedPaths.add(attachmentVaultPath(entry));
+  }
+
+  const resolved = new Map(); // original vault path → { dest, skip }
+  for (const [index, entries] of attachmentPlan) {
+    for (const entry of entries.values()) {
+      const vaultPath = attachmentVaultPath(entry);
+      if (!resolved.has(vaultPath)) {
+        resolved.set(vaultPath, resolveAttachment(entry, index));
+      }
+      Object.assign(entry, resolved.get(vaultPath));
+    }
+  }
+
+  function resolveAttachment(entry, index) {
+    const vaultPath = attachmentVaultPath(entry);
+    const existing = path.join(outputDir, vaultPath);
+    const unchanged = { dest: entry.dest, skip: false };
+    if (!entry.src || !fs.existsSync(existing) || sameContent(existing, entry)) return unchanged;
+
+    const collision = { type: 'attachment', index, path: vaultPath, resolution, renamedTo: null };
+    collisions.push(collision);
+
+    if (policy === 'skip') return { dest: entry.dest, skip: true };
+    if (policy !== 'rename') return unchanged;
+
+    const dir = path.posix.dirname(entry.dest);
+    const filename = nextFreeName(path.posix.basename(entry.dest), name => {
+      const candidate = `${entry.folder}/${dir === '.' ? name : `${dir}/${name}`}`;
+      return plannedPaths.has(candidate) || fs.existsSync(path.join(outputDir, candidate));
+    });
+    const dest = dir === '.' ? filename : `${dir}/${filename}`;
+    collision.renamedTo = attachmentVaultPath({ folder: entry.folder, dest });
+    plannedPaths.add(collision.renamedTo);
+    return { dest, skip: false };
+  }
+
+  collisions.push(...resolveGeneratedFiles(generatedFiles, outputDir, policy, plannedNotes));
+  return collisions;
+}
+
+/**
+ * Apply a collision policy to the other files an import writes (folder notes,
+ * canvases, index notes, the CSS snippet, the import report). Each entry
+ * ({ path, replaceable }) gets `dest` (the vault path to write), `skip`, and
+ * `overwrite` when an existing file will be replaced. Existing files for which
+ * `replaceable(content)` is true, such as our own output from an earlier run,
+ * are replaced without counting as collisions.
+ * @param {Set<string>} [plannedPaths] - vault paths already taken by this run
+ * @returns {object[]} collisions, as for resolveCollisions()
+ */
+export function resolveGeneratedFiles(files, outputDir, policy, plannedPaths = new Set()) {
+  const collisions = [];
+  const resolution = RESOLUTIONS[policy];
+  const taken = new Set([...plannedPaths, ...files.map(file => file.path)]);
+
+  for (const file of files) {
+    Object.assign(file, { dest: file.path, skip: false, overwrite: false });
+    // A note of this run takes the path; the writer leaves it to the note
+    if (plannedPaths.has(file.path)) continue;
+    const existing = path.join(outputDir, file.path);
+    if (!fs.existsSync(existing)) continue;
+    if (file.replaceable?.(fs.readFileSync(existing))) continue;
+
+    const collision = { type: 'generated', index: null, path: file.path, resolution, renamedTo: null };
+    collisions.push(collision);
+    if (policy === 'skip') {
+      file.skip = true;
+    } else if (policy === 'rename') {
+      const dir = path.posix.dirname(file.path);
+      const filename = nextFreeName(path.posix.basename(file.path), name => {
+        const candidate = dir === '.' ? name : `${dir}/${name}`;
+        return taken.has(candidate) || fs.existsSync(path.join(outputDir, candidate));
+      });
+      file.dest = dir === '.' ? filename : `${dir}/${filename}`;
+      taken.add(file.dest);
+      collision.renamedTo = file.dest;
+    } else {
+      file.overwrite = true;
+    }
+  }
+  return collisions;
+}
+
+/**
+ * Print each collision and how it was resolved.
+ */
+export function printCollisions(collisions) {
+  if (collisions.length === 0) return;
+  console.log(`\nCollisions with existing files (${collisions.length}):`);
+  for (const { path: vaultPath, resolution, renamedTo } of collisions) {
+    const how = {
+      skipped: 'skipped, existing file kept',
+      overwritten: 'overwritten',
+      renamed: `renamed to ${renamedTo}`,
+      fail: 'conflict',
+    }[resolution];
+    console.log(`  ${vaultPath}: ${how}`);
+  }
+}
+
+function sameContent(existingPath, entry) {
+  try {
+    const existing = fs.readFileSync(existingPath);
+    const incoming = entry.unwrapEntry
+      ? new AdmZip(entry.src).readFile(entry.unwrapEntry)
+      : fs.readFileSync(entry.src);
+    return Boolean(incoming) && existing.equals(incoming);
+  } catch {
+    return false;
+  }
+}
@@ -4,51 +4,117 @@
 
 import path from 'node:path';
 import { normalizeFilename } from './utils.js';
+import { attachmentVaultPath } from './attachments.js';
+import { colorName, colorClass, colorTag } from './colors.js';
+import { formatReminder, itemReminder, taskAnnotation } from './reminders.js';
+import { formatTimestamp } from './dates.js';
+import { notebookTags, extractHashtags, mergeTags } from './tags.js';
+import { emitFrontmatter, plain } from './yaml.js';
+import { mapFrontmatter } from './frontmatter.js';
+import { noteStats, statsProperties } from './stats.js';
 import { getAttr, getText, findByTag } from './node-helpers.js';
 
 const VIDEO_EXTENSIONS = ['.webm', '.mp4', '.mov', '.avi', '.mkv'];
 const MAX_WALK_DEPTH = 100;
+const AUDIO_EXTENSION_WARNING = '> **Note**: Audio file exported without extension. You may need to rename it (likely .m4a or .webm).\n';
 
 /**
  * Convert a parsed note to markdown.
  * @param {object} noteData - from parseNote()
  * @param {Map} noteIdToTitle - map of note IDs to titles for internal link resolution
+ * @param {object} [options]
+ * @param {Map} [options.attachments] - this note's entries from planAttachments()
+ * @param {string} [options.colors] - 'frontmatter' (color + cssclasses, default),
+ *   'tags' (color + color/<name> tag) or 'none'
+ * @param {Map} [options.renamedTitles] - note title → filename (without .md) for notes that
+ *   --on-conflict rename moved to a free name; title-only internal links are pointed there
+ * @param {boolean} [options.taskDates] - add Tasks-plugin 📅/⏰ annotations to checklist items
+ *   that have their own due date
+ * @param {string} [options.dateFormat] - 'date' (default), 'datetime' or a pattern (see dates.js)
+ * @param {string} [options.timezone] - 'source' (default), 'local' or an IANA zone
+ * @param {string} [options.tagStyle] - 'flat' (default), 'nested' or 'none' (see tags.js)
+ * @param {string} [options.baseTag] - tag every note gets (default zoho-notebook, '' for none)
+ * @param {boolean} [options.stripHashtags] - remove inline #hashtags from the body once they're in `tags:`
+ * @param {object} [options.frontmatter] - property mapping from a --config file (see frontmatter.js)
+ * @param {boolean} [options.noteStats] - add card type and content statistics to the frontmatter
+ * @returns {{ frontmatter: string, body: string, markdown: string, cardType: string, stats: object }}
+ *   stats: from noteStats(), for the frontmatter and the manifest
  */
-export function convertNote(noteData, noteIdToTitle = new Map()) {
-  const frontmatter = buildFrontmatter(noteData);
-  const body = convertBody(noteData, noteIdToTitle);
+export function convertNote(noteData, noteIdToTitle = new Map(), options = {}) {
+  // Body first: inline #hashtags found while walking it go into the frontmatter tags
+  const { body, cardType, hashtags } = convertBody(noteData, noteIdToTitle, options);
+  const stats = noteStats(body, cardType, options.attachments);
+  const frontmatter = buildFrontmatter(noteData, { ...options, hashtags, stats });
   const markdown = frontmatter + '\n' + body;
-  return { frontmatter, body, markdown };
+  return { frontmatter, body, markdown, cardType, stats };
 }
 
-function buildFrontmatter(noteData) {
-  const created = formatDate(noteData.createdDate);
-  const modified = formatDate(noteData.modifiedDate);
-  const notebookTag = slugify(noteData.notebook);
-  const title = normalizeText(noteData.title);
-  const notebook = normalizeText(noteData.notebook);
-
-  const lines = [
-    '---',
-    `title: "${escapeYaml(title)}"`,
-    `notebook: "${escapeYaml(notebook)}"`,
+/**
+ * Render a notebook's folder note from planFolderNotes().
+ */
+export function convertFolderNote(folderNote, options = {}) {
+  const tags = notebookTags(folderNote.name, options);
+  const properties = [
+    ['title', folderNote.name],
+    ['notebook', folderNote.name],
+    ['created', formatDate(folderNote.createdDate, options)],
+    ['modified', formatDate(folderNote.modifiedDate, options)],
+    ['color', folderNote.color || null],
+    ['note-count', folderNote.noteCount],
+    ['tags', tags.length > 0 ? tags.map(plain) : null],
+    ['source', plain('zoho-notebook')],
   ];
 
-  if (created) lines.push(`created: ${created}`);
-  if (modified) lines.push(`modified: ${modified}`);
+  const body = folderNote.cover ? `![[${folderNote.cover.path}]]\n` : '';
+  return emitFrontmatter(...mappedFrontmatter(properties, folderNote, options)) + '\n' + body;
+}
 
-  lines.push('tags:');
-  lines.push('  - zoho-notebook');
-  if (notebookTag && notebookTag !== 'zoho-notebook') {
-    lines.push(`  - ${notebookTag}`);
-  }
+/**
+ * Frontmatter properties in their default order; the --config mapping and the
+ * YAML emitter take it from there.
+ */
+function buildFrontmatter(noteData, options = {}) {
+  const colorMode = options.colors ?? 'frontmatter';
+  const namedColor = colorMode === 'none' ? null : colorName(noteData.color);
+  const reminders = (noteData.reminders || []).map(r => formatReminder(r, options.timezone)).filter(Boolean);
+  const tags = mergeTags(
+    notebookTags(noteData.notebook, options),
+    colorMode === 'tags' && namedColor ? [colorTag(namedColor)] : [],
+    options.hashtags ?? [],
+  );
 
-  lines.push('aliases:');
-  lines.push(`  - "${escapeYaml(title)}"`);
-  lines.push('source: zoho-notebook');
-  lines.push('---');
+  const properties = [
+    ['title', noteData.title],
+    // Title was inferred from content — keep what Zoho called it
+    ['original-title', noteData.originalTitle || null],
+    ['notebook', noteData.notebook],
+    ['created', formatDate(noteData.createdDate, options)],
+    ['modified', formatDate(noteData.modifiedDate, options)],
+    ['reminder', reminders.length > 1 ? reminders.map(plain) : reminders.length === 1 ? plain(reminders[0]) : null],
+    ['color', colorMode !== 'none' && noteData.color ? noteData.color : null],
+    ['tags', tags.length > 0 ? tags.map(plain) : null],
+    ['aliases', [noteData.title]],
+    // Tinted by the CSS snippet the writer adds to .obsidian/snippets/
+    ['cssclasses', colorMode === 'frontmatter' && namedColor ? [plain(colorClass(namedColor))] : null],
+    ...(options.noteStats && options.stats ? statsProperties(options.stats) : []),
+    ['source', plain('zoho-notebook')],
+    // Trace back to the original note: its ID, app URL and any other Znote envelope fields
+    ['zoho', noteData.noteId ? {
+      id: noteData.noteId,
+      url: `zohonotebook://notes/${noteData.noteId}`,
+      ...noteData.zohoMeta,
+    } : null],
+  ];
 
-  return lines.join('\n');
+  return emitFrontmatter(...mappedFrontmatter(properties, noteData, options));
+}
+
+/**
+ * Apply the --config frontmatter mapping, returning emitFrontmatter() arguments.
+ */
+function mappedFrontmatter(properties, source, options) {
+  const { properties: mapped, inline } = mapFrontmatter(properties, source, options.frontmatter ?? null);
+  return [mapped, { inline }];
 }
 
 // --- Card type strategies (order matters: video before empty) ---
@@ -77,17 +143,16 @@ const CARD_STRATEGIES = [
     matches: (children) =>
       children.length === 1 && children[0].tagName?.toLowerCase() === 'img'
       && getAttr(children[0], 'src'),
-    convert: (children) => {
-      const cleanSrc = normalizeFilename(getAttr(children[0], 'src'));
-      return `![[attachments/${cleanSrc}]]\n`;
-    },
+    convert: (children, noteData, noteIdToTitle, options) =>
+      `${embedAttachment(getAttr(children[0], 'src'), options.attachments)}\n`,
   },
   {
     name: 'znresource',
     matches: (children) =>
       children.length === 1 && children[0].tagName?.toLowerCase() === 'znresource',
-    convert: (children, noteData) =>
-      handleZnresourceCard(children[0], noteData),
+    cardType: (children, noteData) => znresourceKind(children[0], noteData),
+    convert: (children, noteData, noteIdToTitle, options) =>
+      handleZnresourceCard(children[0], noteData, options.attachments),
   },
   {
     name: 'file',
@@ -96,20 +161,33 @@ const CARD_STRATEGIES = [
       const href = getAttr(children[0], 'href');
       return href && !href.startsWith('http') && !href.startsWith('zohonotebook://');
     },
-    convert: (children) => {
+    cardType: (children) => (path.extname(normalizeFilename(getAttr(children[0], 'href'))) ? 'file' : 'audio'),
+    convert: (children, noteData, noteIdToTitle, options) => {
       const href = getAttr(children[0], 'href');
-      const cleanHref = normalizeFilename(href);
-      if (!path.extname(cleanHref)) {
-        return `Attached audio: ![[attachments/${cleanHref}]]\n\n> **Note**: Audio file exported without extension. You may need to rename it (likely .m4a or .webm).\n`;
+      if (!path.extname(normalizeFilename(href))) {
+        return audioCard(href, options.attachments);
       }
-      return `Attached file: ![[attachments/${cleanHref}]]\n`;
+      return `Attached file: ${embedAttachment(href, options.attachments)}\n`;
     },
   },
   {
     name: 'text',
     matches: () => true, // catch-all
-    convert: (children, noteData, noteIdToTitle) => {
-      const context = { listDepth: 0, listType: null };
+    convert: (children, noteData, noteIdToTitle, options) => {
+      const context = {
+        listDepth: 0,
+        listType: null,
+        attachments: options.attachments,
+        renamedTitles: options.renamedTitles,
+        // Only items with their own due date are annotated; a note's reminder
+        // says nothing about which of its items it is for
+        taskDates: options.taskDates ? { timezone: options.timezone } : null,
+        // Filled in as text is walked; skipped inside code, headings and links
+        hashtags: options.hashtags,
+        stripHashtags: options.stripHashtags,
+        // Last character of text on the current line, shared by nested contexts
+        line: { last: '\n' },
+      };
       let result = walkChildren(noteData.contentNode, context, noteIdToTitle);
       result = result.replace(/\n{3,}/g, '\n\n');
       result = result.trimEnd() + '\n';
@@ -118,16 +196,25 @@ const CARD_STRATEGIES = [
   },
 ];
 
-function convertBody(noteData, noteIdToTitle) {
-  if (!noteData.contentNode) return '';
+/**
+ * Convert just the note body, without frontmatter.
+ * Returns { body, cardType, hashtags } where cardType is the kind of card
+ * (video, empty, photo, file, audio or text) and hashtags lists the inline
+ * #tags found in the text.
+ */
+export function convertBody(noteData, noteIdToTitle = new Map(), options = {}) {
+  if (!noteData.contentNode) return { body: '', cardType: 'empty', hashtags: [] };
   const children = (noteData.contentNode.children || []).filter(c => c.type === 'tag');
+  const hashtags = [];
 
   for (const strategy of CARD_STRATEGIES) {
     if (strategy.matches(children, noteData)) {
-      return strategy.convert(children, noteData, noteIdToTitle);
+      const body = strategy.convert(children, noteData, noteIdToTitle, { ...options, hashtags });
+      const cardType = strategy.cardType?.(children, noteData) ?? strategy.name;
+      return { body, cardType, hashtags: mergeTags(hashtags) };
     }
   }
-  return '';
+  return { body: '', cardType: 'empty', hashtags: [] };
 }
 
 function walkChildren(node, context, noteIdToTitle) {
@@ -165,12 +252,19 @@ function walkChildren(node, context, noteIdToTitle) {
 }
 
 function walkNode(node, context, noteIdToTitle) {
+  // Blocks and line breaks start a new line, for hashtags after them
+  const tag = node.type === 'tag' ? node.tagName.toLowerCase() : null;
+  if (!context.line || !(tag === 'br' || isBlockElement(tag))) return renderNode(node, context, noteIdToTitle);
+  context.line.last = '\n';
+  const markdown = renderNode(node, context, noteIdToTitle);
+  context.line.last = '\n';
+  return markdown;
+}
+
+function renderNode(node, context, noteIdToTitle) {
   // Text node — use node.data directly (not getText)
   if (node.type === 'text') {
-    let text = node.data || '';
-    // Normalize &nbsp; and \u202f to regular space
-    text = text.replace(/\u00a0/g, ' ').replace(/\u202f/g, ' ');
-    return text;
+    return textContent(node.data, context);
   }
 
   if (node.type !== 'tag') return '';
@@ -298,11 +392,10 @@ function walkNode(node, context, noteIdToTitle) {
   if (tag === 'img') {
     const src = getAttr(node, 'src');
     if (src) {
-      const cleanSrc = normalizeFilename(src);
       if (src.startsWith('http')) {
         return `![](${src})`;
       }
-      return `![[attachments/${cleanSrc}]]`;
+      return embedAttachment(src, context.attachments);
     }
     return '';
   }
@@ -321,7 +414,8 @@ function walkNode(node, context, noteIdToTitle) {
           labelText = nextSib.data?.trim() || '';
         }
       }
-      return checked ? `- [x] ${labelText}\n` : `- [ ] ${labelText}\n`;
+      labelText = collectHashtags(labelText, context, ' ').trim();
+      return checkboxLine(node, checked, labelText, context);
     }
     return '';
   }
@@ -331,24 +425,24 @@ function walkNode(node, context, noteIdToTitle) {
   if (tag === 'checkbox') {
     const checked = getAttr(node, 'data-znote-checked') === 'true';
     const labelText = walkChildren(node, context, noteIdToTitle).trim();
-    return checked ? `- [x] ${labelText}\n` : `- [ ] ${labelText}\n`;
+    return checkboxLine(node, checked, labelText, context);
   }
 
   // Znote <znresource> element: inline image/file reference
   if (tag === 'znresource') {
-    return handleZnresource(node);
+    return handleZnresource(node, context.attachments);
   }
 
   // Headings
   if (/^h[1-6]$/.test(tag)) {
     const level = parseInt(tag[1]);
-    const inner = walkChildren(node, context, noteIdToTitle).trim();
+    const inner = walkChildren(node, { ...context, hashtags: null }, noteIdToTitle).trim();
     return '#'.repeat(level) + ' ' + inner + '\n\n';
   }
 
   // Inline code
   if (tag === 'code') {
-    const inner = walkChildren(node, context, noteIdToTitle);
+    const inner = walkChildren(node, { ...context, hashtags: null }, noteIdToTitle);
     if (!inner.trim()) return inner;
     return '`' + inner + '`';
   }
@@ -362,6 +456,18 @@ function walkNode(node, context, noteIdToTitle) {
   return walkChildren(node, context, noteIdToTitle);
 }
 
+/**
+ * Render a checklist item, with its due date when task annotations are on.
+ */
+function checkboxLine(node, checked, labelText, context) {
+  let line = checked ? `- [x] ${labelText}` : `- [ ] ${labelText}`;
+  if (context.taskDates) {
+    const due = itemReminder(node.attribs);
+    if (due) line += taskAnnotation(due, context.taskDates.timezone);
+  }
+  return line + '\n';
+}
+
 function handleDiv(node, context, noteIdToTitle) {
   const cls = getAttr(node, 'class') || '';
 
@@ -425,10 +531,9 @@ function handleDiv(node, context, noteIdToTitle) {
 
   for (const child of node.children || []) {
     if (child.type === 'text') {
-      const text = child.data?.replace(/\u00a0/g, ' ').replace(/\u202f/g, ' ') || '';
       // Preserve ALL text including whitespace-only nodes (they may be spaces
       // between inline elements like <b>text</b> <em>more</em>)
-      pendingInline += text;
+      pendingInline += textContent(child.data, context);
     } else if (child.type === 'tag') {
       if (isBlockElement(child.tagName?.toLowerCase())) {
         if (pendingInline.trim()) {
@@ -474,8 +579,7 @@ function handleListItem(node, context, noteIdToTitle) {
         content += walkNode(child, context, noteIdToTitle);
       }
     } else if (child.type === 'text') {
-      const text = child.data?.replace(/\u00a0/g, ' ').replace(/\u202f/g, ' ') || '';
-      content += text;
+      content += textContent(child.data, context);
     }
   }
 
@@ -491,14 +595,24 @@ function sanitizeWikilink(str) {
   return str.replace(/\]\]/g, '').replace(/\[\[/g, '').replace(/\|/g, '');
 }
 
+/**
+ * Wikilink for a link that only names its target note, following renames.
+ */
+function titleLink(text, context) {
+  const renamed = context.renamedTitles?.get(text);
+  return renamed
+    ? `[[${sanitizeWikilink(renamed)}|${sanitizeWikilink(text)}]]`
+    : `[[${sanitizeWikilink(text)}]]`;
+}
+
 function handleLink(node, context, noteIdToTitle) {
   const href = getAttr(node, 'href') || '';
   const cls = getAttr(node, 'class') || '';
-  const text = walkChildren(node, context, noteIdToTitle).trim();
+  const text = walkChildren(node, { ...context, hashtags: null }, noteIdToTitle).trim();
 
   // Internal note link via class
   if (cls.includes('editor-note-link') || cls.includes('rte-link')) {
-    if (text) return `[[${sanitizeWikilink(text)}]]`;
+    if (text) return titleLink(text, context);
   }
 
   // Zoho internal protocol link
@@ -518,7 +632,7 @@ function handleLink(node, context, noteIdToTitle) {
     }
     // Fallback: use link text as wikilink if it's meaningful
     if (text && text.toLowerCase() !== 'link') {
-      return `[[${sanitizeWikilink(text)}]]`;
+      return titleLink(text, context);
     }
     const safeHref = href.replace(/-->/g, '--\u200B>');
     return `<!-- zoho internal link (unresolved): ${safeHref} -->`;
@@ -526,8 +640,7 @@ function handleLink(node, context, noteIdToTitle) {
 
   // Local file attachment
   if (href && !href.startsWith('http') && !href.startsWith('mailto:') && !href.startsWith('#')) {
-    const cleanHref = normalizeFilename(href);
-    return `![[attachments/${cleanHref}]]`;
+    return embedAttachment(href, context.attachments);
   }
 
   // External URL
@@ -579,95 +692,104 @@ function handleTable(node, context, noteIdToTitle) {
  * Handle a <znresource> when it's the sole child of <content> (card-level).
  * Uses noteData.noteType for accurate card identification.
  */
-function handleZnresourceCard(node, noteData) {
+function handleZnresourceCard(node, noteData, attachments) {
   const relativePath = getAttr(node, 'relative-path') || '';
-  const type = getAttr(node, 'type') || '';
-  const consumers = getAttr(node, 'consumers') || '';
-  const noteType = noteData?.noteType;
+  const kind = znresourceKind(node, noteData);
 
-  const cleanPath = normalizeFilename(relativePath);
-
-  // Audio card
-  if (type.startsWith('audio/') || noteType === 'note/audio') {
-    return `Attached audio: ![[attachments/${cleanPath}]]\n\n> **Note**: Audio file exported without extension. You may need to rename it (likely .m4a or .webm).\n`;
+  if (kind === 'audio') {
+    return audioCard(relativePath, attachments);
   }
-
-  // File card
-  if (consumers.includes('com.zoho.notebook.file') || noteType === 'note/file') {
-    return `Attached file: ![[attachments/${cleanPath}]]\n`;
+  if (kind === 'file') {
+    return `Attached file: ${embedAttachment(relativePath, attachments)}\n`;
   }
 
   // Image or sketch card
-  return `![[attachments/${cleanPath}]]\n`;
+  return `${embedAttachment(relativePath, attachments)}\n`;
 }
 
 /**
- * Handle an inline <znresource> element within note body.
+ * Card type of a card-level <znresource>: 'audio', 'file' or 'photo' (images and sketches).
  */
-function handleZnresource(node) {
-  const relativePath = getAttr(node, 'relative-path') || '';
+function znresourceKind(node, noteData) {
   const type = getAttr(node, 'type') || '';
   const consumers = getAttr(node, 'consumers') || '';
+  const noteType = noteData?.noteType;
 
-  const cleanPath = normalizeFilename(relativePath);
-
-  // File attachment (inline)
-  if (consumers.includes('com.zoho.notebook.file')) {
-    return `![[attachments/${cleanPath}]]`;
-  }
+  if (type.startsWith('audio/') || noteType === 'note/audio') return 'audio';
+  if (consumers.includes('com.zoho.notebook.file') || noteType === 'note/file') return 'file';
+  return 'photo';
+}
 
-  // Audio
-  if (type.startsWith('audio/')) {
-    return `![[attachments/${cleanPath}]]`;
-  }
+/**
+ * Handle an inline <znresource> element within note body.
+ */
+function handleZnresource(node, attachments) {
+  // Images, sketches, files and audio all embed the same way inline
+  return embedAttachment(getAttr(node, 'relative-path') || '', attachments);
+}
 
-  // Image or sketch (default)
-  return `![[attachments/${cleanPath}]]`;
+/**
+ * Render an audio card. If the format was detected from the file's magic bytes,
+ * the planned path already carries the extension and no rename warning is needed.
+ */
+function audioCard(ref, attachments) {
+  const target = attachmentPath(ref, attachments);
+  const embed = `Attached audio: ![[${target}]]\n`;
+  if (path.extname(target)) return embed;
+  return `${embed}\n${AUDIO_EXTENSION_WARNING}`;
 }
 
-// --- Helpers ---
+// --- Attachment paths ---
 
-function isBlockElement(tag) {
-  return ['div', 'p', 'blockquote', 'pre', 'table', 'ul', 'ol', 'li', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(tag);
+/**
+ * Resolve a raw attachment reference to its vault path, following the planned layout.
+ * Falls back to attachments/ and the normalized reference when no plan entry exists.
+ */
+function attachmentPath(ref, attachments) {
+  const entry = attachments?.get(ref);
+  return entry ? attachmentVaultPath(entry) : `attachments/${normalizeFilename(ref)}`;
 }
 
-function formatDate(isoString) {
-  if (!isoString) return null;
-  try {
-    const date = new Date(isoString);
-    if (isNaN(date.getTime())) {
-      console.warn(`  WARN: Invalid date value "${isoString}", skipping`);
-      return null;
-    }
-    return date.toISOString().split('T')[0];
-  } catch {
-    return null;
-  }
+function embedAttachment(ref, attachments) {
+  return `![[${attachmentPath(ref, attachments)}]]`;
+}
+
+// --- Helpers ---
+
+/**
+ * Plain text from a text node: &nbsp; and \u202f become regular spaces, and
+ * inline #hashtags are collected (see collectHashtags).
+ */
+function textContent(data, context) {
+  const text = (data || '').replace(/\u00a0/g, ' ').replace(/\u202f/g, ' ');
+  const result = collectHashtags(text, context);
+  if (context.line && text) context.line.last = text.at(-1);
+  return result;
 }
 
-function slugify(text) {
-  return text
-    .toLowerCase()
-    .replace(/[^a-z0-9\s-]/g, '')
-    .replace(/\s+/g, '-')
-    .replace(/-+/g, '-')
-    .replace(/^-|-$/g, '');
+/**
+ * Record the #hashtags in `text` on context.hashtags, which is null where
+ * hashtags don't count (code, headings, link text). Text continuing a line
+ * after an inline sibling ("<b>Hello</b>#bold") is matched with the character
+ * before it. Returns the text, without the hashtags when
+ * context.stripHashtags is set.
+ */
+function collectHashtags(text, context, before = context.line?.last) {
+  if (!context.hashtags) return text;
+  const found = extractHashtags(text, { strip: context.stripHashtags, before });
+  context.hashtags.push(...found.tags);
+  return found.text;
 }
 
-function escapeYaml(text) {
-  return text
-    .replace(/\\/g, '\\\\')
-    .replace(/"/g, '\\"')
-    .replace(/\x00/g, '')                        // Strip null bytes
-    .replace(/[\x01-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '') // Strip C0 controls
-    .replace(/[\x80-\x84\x86-\x9F]/g, '')             // Strip C1 controls (skip \x85, handled below)
-    .replace(/\u0085/g, '\\n')                    // Next Line → escaped newline
-    .replace(/\u2028/g, '\\n')                    // Line Separator → escaped newline
-    .replace(/\u2029/g, '\\n')                    // Paragraph Separator → escaped newline
-    .replace(/\n/g, '\\n')
-    .replace(/\r/g, '\\r');
+function isBlockElement(tag) {
+  return ['div', 'p', 'blockquote', 'pre', 'table', 'ul', 'ol', 'li', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(tag);
 }
 
-function normalizeText(text) {
-  return text.replace(/\u202f/g, ' ').replace(/\u00a0/g, ' ');
+/**
+ * Frontmatter value for a Zoho timestamp, left unquoted unless a custom
+ * --date-format produces something YAML wouldn't read as a plain scalar.
+ */
+function formatDate(value, options = {}) {
+  const formatted = formatTimestamp(value, { format: options.dateFormat, timezone: options.timezone });
+  return formatted === null ? null : plain(formatted);
 }
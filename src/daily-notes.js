@@ -0,0 +1,74 @@
+/**
+ * Link imported notes from the daily note of the day they were created.
+ * Each daily note gets an "Imported from Zoho" section between marker
+ * comments; re-runs replace that section and leave the rest of the note alone.
+ */
+
+import { zonedParts, formatTimestamp } from './dates.js';
+import { noteLink } from './utils.js';
+
+export const DAILY_NOTES_FOLDER = 'Daily Notes';
+export const DAILY_NOTES_FORMAT = 'YYYY-MM-DD';
+
+const SECTION_START = '<!-- zoho-notebook-import -->';
+const SECTION_END = '<!-- /zoho-notebook-import -->';
+const SECTION_HEADING = '## Imported from Zoho';
+
+/**
+ * Group written notes by the daily note of their creation date.
+ * @param {object[]} notes - NoteData array
+ * @param {object[]} noteResults - writeOutput() results, indexed like notes; unwritten notes are left out
+ * @param {object} [options]
+ * @param {string} [options.folder] - vault folder for daily notes ('' for the vault root)
+ * @param {string} [options.format] - daily note filename, as a dates.js pattern; may contain '/'
+ * @param {string} [options.timezone] - as for --timezone
+ * @returns {{ path: string, links: string[] }[]} sorted by path; links are note vault paths
+ */
+export function planDailyNotes(notes, noteResults, options = {}) {
+  const folder = (options.folder ?? DAILY_NOTES_FOLDER).replace(/^\/+|\/+$/g, '');
+  const format = options.format || DAILY_NOTES_FORMAT;
+  const timezone = options.timezone ?? 'source';
+
+  const byDay = new Map();
+  for (let i = 0; i < notes.length; i++) {
+    const notePath = noteResults[i]?.path;
+    const created = notes[i].createdDate;
+    // Invalid dates were already reported when the note's frontmatter was built
+    if (!notePath || !created || !zonedParts(created, timezone)) continue;
+
+    const day = formatTimestamp(created, { format, timezone });
+    const dailyPath = `${folder ? `${folder}/` : ''}${day}.md`;
+    if (!byDay.has(dailyPath)) byDay.set(dailyPath, []);
+    byDay.get(dailyPath).push(notePath);
+  }
+
+  return [...byDay.keys()].sort().map(dailyPath => ({
+    path: dailyPath,
+    links: byDay.get(dailyPath).sort(),
+  }));
+}
+
+/**
+ * Daily note contents with the import section added or replaced.
+ * @param {string|null} existing - current file contents, or null to create the note
+ * @param {string[]} links - note vault paths
+ */
+export function mergeDailySection(existing, links) {
+  const section = [
+    SECTION_START,
+    SECTION_HEADING,
+    '',
+    ...links.map(notePath => `- ${noteLink(notePath)}`),
+    SECTION_END,
+  ].join('\n');
+
+  if (existing === null) return section + '\n';
+
+  const start = existing.indexOf(SECTION_START);
+  const end = existing.indexOf(SECTION_END, start);
+  if (start !== -1 && end !== -1) {
+    return existing.slice(0, start) + section + existing.slice(end + SECTION_END.length);
+  }
+  const separator = existing === '' ? '' : existing.endsWith('\n\n') ? '' : existing.endsWith('\n') ? '\n' : '\n\n';
+  return existing + separator + section + '\n';
+}
@@ -0,0 +1,115 @@
+/**
+ * Format Zoho timestamps for frontmatter.
+ * Zoho writes timestamps with the offset of the device that made the note
+ * ("2024-01-15T23:30:00+0530"). By default that wall-clock time is kept as
+ * written, so a late-night note stays on the day it was written.
+ */
+
+import { diagnostic } from './diagnostics.js';
+
+export const DATE_FORMATS = {
+  date: 'YYYY-MM-DD',
+  datetime: 'YYYY-MM-DDTHH:mm:ssZ',
+};
+
+const TIMESTAMP = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/;
+const TOKENS = /YYYY|MM|DD|HH|mm|ss|Z/g;
+
+/**
+ * Check a --timezone value: 'source', 'local', or an IANA zone name such as
+ * "Asia/Kolkata" or "UTC". Throws on anything else.
+ */
+export function parseTimezone(timezone) {
+  if (timezone === 'source' || timezone === 'local') return timezone;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    throw new Error(`Unknown timezone "${timezone}" (expected source, local or an IANA name like Europe/Berlin)`);
+  }
+  return timezone;
+}
+
+/**
+ * Format a Zoho timestamp.
+ * @param {string} value - Zoho timestamp
+ * @param {object} [options]
+ * @param {string} [options.format] - 'date' (default), 'datetime' or a pattern
+ *   using YYYY, MM, DD, HH, mm, ss and Z (offset as ±HH:MM)
+ * @param {string} [options.timezone] - 'source' (default), 'local' or an IANA zone
+ * @returns {string|null} null (with a warning) when the value can't be parsed
+ */
+export function formatTimestamp(value, options = {}) {
+  if (!value) return null;
+  const parts = zonedParts(value, options.timezone ?? 'source');
+  if (!parts) {
+    diagnostic('INVALID_DATE', `Invalid date value "${value}", skipping`);
+    return null;
+  }
+  const pattern = DATE_FORMATS[options.format ?? 'date'] ?? options.format;
+  return pattern.replace(TOKENS, token => parts[token]);
+}
+
+/**
+ * The instant a Zoho timestamp refers to, as a Date (for file times).
+ */
+export function toDate(value) {
+  const parsed = parseTimestamp(value);
+  return parsed ? new Date(parsed.epoch) : null;
+}
+
+/**
+ * Calendar fields of a timestamp in the requested zone:
+ * { YYYY, MM, DD, HH, mm, ss, Z }, or null if it can't be parsed.
+ */
+export function zonedParts(value, timezone = 'source') {
+  const parsed = parseTimestamp(value);
+  if (!parsed) return null;
+
+  // Keep the wall clock as written; timestamps without an offset have no zone to convert from
+  if (timezone === 'source' || parsed.offsetMinutes === null) {
+    return { ...parsed.wallClock, Z: formatOffset(parsed.offsetMinutes ?? 0) };
+  }
+
+  const fields = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone === 'local' ? undefined : timezone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(new Date(parsed.epoch)).map(({ type, value: part }) => [type, part]));
+
+  const wallClock = {
+    YYYY: fields.year, MM: fields.month, DD: fields.day,
+    HH: fields.hour, mm: fields.minute, ss: fields.second,
+  };
+  const asUtc = Date.UTC(+fields.year, +fields.month - 1, +fields.day, +fields.hour, +fields.minute, +fields.second);
+  return { ...wallClock, Z: formatOffset(Math.round((asUtc - Math.floor(parsed.epoch / 1000) * 1000) / 60000)) };
+}
+
+function parseTimestamp(value) {
+  const match = TIMESTAMP.exec(String(value ?? '').trim());
+  if (!match) {
+    // Anything else Date understands (e.g. RFC 2822) is read as UTC
+    const date = new Date(value);
+    if (value === null || value === undefined || isNaN(date.getTime())) return null;
+    return parseTimestamp(date.toISOString());
+  }
+
+  const [, year, month, day, hour = '00', minute = '00', second = '00', offset] = match;
+  const offsetMinutes = offset === undefined ? null
+    : offset === 'Z' ? 0
+      : (offset[0] === '-' ? -1 : 1) * (Number(offset.slice(1, 3)) * 60 + Number(offset.slice(-2)));
+  const wallUtc = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+  if (isNaN(wallUtc) || new Date(wallUtc).getUTCDate() !== +day) return null;
+
+  return {
+    wallClock: { YYYY: year, MM: month, DD: day, HH: hour, mm: minute, ss: second },
+    offsetMinutes,
+    epoch: wallUtc - (offsetMinutes ?? 0) * 60000,
+  };
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,189 @@
+/**
+ * Warnings and errors raised during a run. Every module reports through the
+ * shared collector, so the CLI can pick the output format, count them by code
+ * and print a tally at the end.
+ */
+
+export const LOG_FORMATS = ['text', 'json'];
+
+/** Every diagnostic code, with its severity. */
+export const DIAGNOSTIC_CODES = {
+  EXPORT_FORMAT_AMBIGUOUS: 'warning',
+  METADATA_INVALID: 'warning',
+  NOTE_PARSE_FAILED: 'error',
+  ZNOTE_PARSE_FAILED: 'error',
+  ZNOTE_ENTRY_BLOCKED: 'warning',
+  INVALID_DATE: 'warning',
+  FRONTMATTER_FIELD_SKIPPED: 'warning',
+  UNSAFE_PATH: 'error',
+  NOTE_PATH_TAKEN: 'warning',
+  ATTACHMENT_MISSING: 'warning',
+  AUDIO_FORMAT_UNKNOWN: 'info',
+  VIDEO_NOT_EXPORTED: 'info',
+  COVER_MISSING: 'warning',
+  UNREFERENCED_COPY_FAILED: 'warning',
+};
+
+/** Codes meaning content from the export did not make it into the vault. */
+export const DATA_LOSS_CODES = ['ATTACHMENT_MISSING', 'VIDEO_NOT_EXPORTED', 'COVER_MISSING', 'UNREFERENCED_COPY_FAILED'];
+
+/**
+ * Process exit codes. Error diagnostics mean notes are missing from the vault
+ * (partial conversion) and data-loss codes mean content is; other warnings
+ * only fail the run with --strict or --fail-on.
+ */
+export const EXIT_CODES = {
+  clean: 0,
+  fatal: 1,
+  input: 2,
+  partial: 3,
+  dataLoss: 4,
+  warnings: 5,
+};
+
+const EXIT_REASONS = {
+  [EXIT_CODES.partial]: 'partial conversion, some notes were not converted',
+  [EXIT_CODES.dataLoss]: 'data loss detected',
+  [EXIT_CODES.warnings]: 'warnings reported (--strict or --fail-on)',
+};
+
+const SEVERITIES = ['error', 'warning', 'info'];
+const LABELS = { error: 'ERROR', warning: 'WARN', info: 'INFO' };
+
+/**
+ * A collector that prints each diagnostic as it is reported.
+ * @param {object} [options]
+ * @param {string} [options.format] - 'text' (default) or 'json' (one JSON object per line)
+ * @param {boolean} [options.quiet] - print only errors; the tally still counts everything
+ * @param {boolean} [options.verbose] - also print info diagnostics in text format
+ * @param {(line: string) => void} [options.write] - defaults to stderr
+ */
+export function createDiagnostics(options = {}) {
+  const format = options.format ?? 'text';
+  const write = options.write ?? (line => process.stderr.write(line + '\n'));
+  const entries = [];
+  const context = [];
+
+  const printed = severity => {
+    if (options.quiet) return severity === 'error';
+    return format === 'json' || severity !== 'info' || Boolean(options.verbose);
+  };
+
+  return {
+    entries,
+
+    report(code, message, where = {}) {
+      const severity = DIAGNOSTIC_CODES[code];
+      if (!severity) throw new Error(`Unknown diagnostic code "${code}"`);
+      const note = context.at(-1);
+      const entry = {
+        code,
+        severity,
+        noteId: where.noteId ?? note?.noteId ?? null,
+        source: where.source ?? note?.sourceFile ?? null,
+        message,
+      };
+      entries.push(entry);
+      if (!printed(severity)) return;
+      if (format === 'json') {
+        write(JSON.stringify({ type: 'diagnostic', ...entry }));
+      } else {
+        write(`  ${LABELS[severity]} [${code}] ${message}${entry.source ? ` (${entry.source})` : ''}`);
+      }
+    },
+
+    withNote(note, fn) {
+      context.push(note);
+      try {
+        return fn();
+      } finally {
+        context.pop();
+      }
+    },
+
+    /** Counts by code and by severity, codes in first-reported order. */
+    tally() {
+      const codes = {};
+      const severities = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+      for (const { code, severity } of entries) {
+        codes[code] = (codes[code] ?? 0) + 1;
+        severities[severity]++;
+      }
+      return { codes, severities };
+    },
+
+    /**
+     * Exit code for the diagnostics so far: errors and data-loss codes always
+     * fail the run, other warnings only with `strict`, and any code listed in
+     * `failOn`.
+     */
+    exitCode({ strict = false, failOn = [] } = {}) {
+      if (entries.some(entry => entry.severity === 'error')) return EXIT_CODES.partial;
+      if (entries.some(entry => DATA_LOSS_CODES.includes(entry.code))) return EXIT_CODES.dataLoss;
+      const failing = entries.some(entry => (strict && entry.severity === 'warning') || failOn.includes(entry.code));
+      return failing ? EXIT_CODES.warnings : EXIT_CODES.clean;
+    },
+
+    printTally(exitCode) {
+      const { codes, severities } = this.tally();
+      if (format === 'json') {
+        write(JSON.stringify({ type: 'summary', severities, codes, ...(exitCode === undefined ? {} : { exitCode }) }));
+        return;
+      }
+      if (entries.length > 0) {
+        const totals = SEVERITIES
+          .filter(severity => severities[severity] > 0)
+          .map(severity => `${severities[severity]} ${severity}${severities[severity] === 1 ? '' : 's'}`);
+        write(`\nDiagnostics: ${totals.join(', ')}`);
+        for (const [code, count] of Object.entries(codes)) {
+          write(`  ${code}: ${count}`);
+        }
+      }
+      if (EXIT_REASONS[exitCode]) write(`Exit code ${exitCode}: ${EXIT_REASONS[exitCode]}`);
+    },
+  };
+}
+
+/**
+ * Codes for --fail-on, from a comma-separated list.
+ */
+export function parseFailOn(value) {
+  if (!value) return [];
+  const codes = value.split(',').map(code => code.trim()).filter(Boolean);
+  const unknown = codes.find(code => !DIAGNOSTIC_CODES[code]);
+  if (unknown) {
+    throw new Error(`Unknown diagnostic code "${unknown}" in --fail-on (expected ${Object.keys(DIAGNOSTIC_CODES).join(', ')})`);
+  }
+  return codes;
+}
+
+let current = createDiagnostics();
+
+/** Replace the shared collector (the CLI does this once options are known). */
+export function setDiagnostics(diagnostics) {
+  current = diagnostics;
+  return diagnostics;
+}
+
+export function getDiagnostics() {
+  return current;
+}
+
+/**
+ * Report a diagnostic to the shared collector.
+ * @param {string} code - a key of DIAGNOSTIC_CODES
+ * @param {string} message
+ * @param {{ noteId?: string, source?: string }} [where] - defaults to the note
+ *   being processed in withNote()
+ */
+export function diagnostic(code, message, where) {
+  current.report(code, message, where);
+}
+
+/**
+ * Run fn with `note` ({ noteId, sourceFile }) as the subject of diagnostics
+ * that don't name one themselves.
+ */
+export function withNote(note, fn) {
+  return current.withNote(note, fn);
+}
@@ -0,0 +1,100 @@
+/**
+ * Print what a conversion would write, from a writeOutput() run with dryRun set.
+ */
+
+import { sanitizeFilename } from './names.js';
+
+/**
+ * Print the planned vault tree, dedup renames, attachment copies,
+ * missing attachments, paths that already exist in the output directory and
+ * unreferenced export files.
+ */
+export function printDryRun(notes, nameMap, stats, outputDir) {
+  const { noteResults, attachmentResults, missingAttachments, existing } = stats;
+
+  // Planned tree: every folder that receives notes or attachments, with its files
+  const tree = new Map();
+  const addToTree = vaultPath => {
+    const slash = vaultPath.lastIndexOf('/');
+    const folder = slash === -1 ? '.' : vaultPath.slice(0, slash);
+    if (!tree.has(folder)) tree.set(folder, []);
+    tree.get(folder).push(vaultPath.slice(slash + 1));
+  };
+  for (const result of noteResults) {
+    if (result.path) addToTree(result.path);
+  }
+  for (const { path } of attachmentResults) addToTree(path);
+  for (const folderNote of stats.folderNotes) {
+    if (folderNote.path) addToTree(folderNote.path);
+    if (folderNote.cover) addToTree(folderNote.cover);
+  }
+  for (const canvas of stats.canvases) {
+    if (canvas.path) addToTree(canvas.path);
+  }
+  for (const indexNote of stats.indexNotes) {
+    if (indexNote.path) addToTree(indexNote.path);
+  }
+  if (stats.colorSnippet) addToTree(stats.colorSnippet);
+  if (stats.report) addToTree(stats.report);
+  for (const daily of stats.dailyNotes) {
+    if (daily.action === 'create') addToTree(daily.path);
+  }
+
+  console.log(`\nPlanned vault: ${outputDir}`);
+  for (const folder of [...tree.keys()].sort()) {
+    console.log(`  ${folder}/`);
+    for (const filename of tree.get(folder).sort()) {
+      console.log(`    ${filename}`);
+    }
+  }
+
+  // Notes whose filename was changed to avoid a duplicate within their folder
+  const renames = [];
+  for (let i = 0; i < notes.length; i++) {
+    if (!noteResults[i].path) continue;
+    const { folder, filename } = nameMap.get(i);
+    const baseFilename = `${sanitizeFilename(notes[i].title || 'Untitled')}.md`;
+    if (filename !== baseFilename) renames.push(`${folder}/${baseFilename} → ${folder}/${filename}`);
+  }
+  printSection('Renamed to avoid duplicates', renames);
+
+  printSection('Attachments to copy', attachmentResults.map(a => {
+    const from = a.container ? `${a.container}: ${a.source}` : a.source;
+    return `${from} → ${a.path}`;
+  }));
+
+  printSection('Missing or skipped attachments', missingAttachments.map(m =>
+    `${m.reason} (in ${noteLabel(notes, noteResults, m.noteIndex)})`
+  ));
+
+  printSection('Already exist in output directory', existing);
+
+  printSection('Daily notes to update', stats.dailyNotes
+    .filter(d => d.action === 'update')
+    .map(d => `${d.path} (${d.links.length} notes)`));
+
+  printSection('Export files not referenced by any note', stats.unreferenced.map(u => {
+    const from = u.container ? `${u.container}: ${u.source}` : u.source;
+    return u.path ? `${from} → ${u.path}` : from;
+  }));
+
+  const skipped = [];
+  for (let i = 0; i < notes.length; i++) {
+    if (noteResults[i].skipped) skipped.push(`${noteLabel(notes, noteResults, i)} (${noteResults[i].skipped})`);
+  }
+  printSection('Skipped notes', skipped);
+
+  console.log('\nDry run: nothing was written.');
+}
+
+function printSection(heading, lines) {
+  if (lines.length === 0) return;
+  console.log(`\n${heading} (${lines.length}):`);
+  for (const line of lines) {
+    console.log(`  ${line}`);
+  }
+}
+
+function noteLabel(notes, noteResults, index) {
+  return noteResults[index].path || `${notes[index].title} [${notes[index].sourceFile}]`;
+}
@@ -2,6 +2,7 @@ import AdmZip from 'adm-zip';
 import fs from 'node:fs';
 import path from 'node:path';
 import os from 'node:os';
+import { diagnostic } from './diagnostics.js';
 
 /**
  * Extract input from a zip file or directory.
@@ -137,7 +138,7 @@ export function detectFormat(dataDir) {
   }
   // If both exist, prefer znote (richer data) but warn
   if (hasZnoteFiles(dataDir) && hasHtmlFiles(dataDir)) {
-    console.warn('  WARN: Both HTML and Znote files found. Using Znote format (richer metadata).');
+    diagnostic('EXPORT_FORMAT_AMBIGUOUS', 'Both HTML and Znote files found. Using Znote format (richer metadata).');
     return 'znote';
   }
   return 'html';
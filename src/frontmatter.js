@@ -0,0 +1,120 @@
+/**
+ * User property mapping for note frontmatter, from the `frontmatter` section
+ * of a --config file:
+ *
+ *   {
+ *     "frontmatter": {
+ *       "rename": { "created": "date-created", "notebook": "category" },
+ *       "drop": ["aliases"],
+ *       "add": { "type": "note", "reviewed": false },
+ *       "fields": { "zoho-type": "noteType", "notebook-id": "notebookMeta.id" },
+ *       "lists": { "tags": "inline" }
+ *     }
+ *   }
+ *
+ * rename and drop use the built-in key names; add and fields may replace a
+ * built-in property by naming its (renamed) key. lists is "inline", "block"
+ * or a map of output keys to either.
+ */
+
+import { diagnostic } from './diagnostics.js';
+
+export const LIST_STYLES = ['block', 'inline'];
+
+const CONFIG_KEYS = ['rename', 'drop', 'add', 'fields', 'lists'];
+
+/**
+ * Validate the `frontmatter` section of a config file. Throws on anything
+ * malformed so typos don't silently produce the default frontmatter.
+ * @returns {{ rename: object, drop: string[], add: object, fields: object, lists: string|object }}
+ */
+export function parseFrontmatterConfig(raw) {
+  if (!isObject(raw)) throw new Error('frontmatter: expected an object');
+  for (const key of Object.keys(raw)) {
+    if (!CONFIG_KEYS.includes(key)) {
+      throw new Error(`frontmatter: unknown setting "${key}" (expected ${CONFIG_KEYS.join(', ')})`);
+    }
+  }
+
+  const config = {
+    rename: raw.rename ?? {},
+    drop: raw.drop ?? [],
+    add: raw.add ?? {},
+    fields: raw.fields ?? {},
+    lists: raw.lists ?? 'block',
+  };
+  if (!isObject(config.rename) || !Object.values(config.rename).every(isKey)) {
+    throw new Error('frontmatter.rename: expected an object of key names');
+  }
+  if (!Array.isArray(config.drop) || !config.drop.every(isKey)) {
+    throw new Error('frontmatter.drop: expected a list of key names');
+  }
+  if (!isObject(config.add)) {
+    throw new Error('frontmatter.add: expected an object of properties');
+  }
+  if (!isObject(config.fields) || !Object.values(config.fields).every(isKey)) {
+    throw new Error('frontmatter.fields: expected an object of NoteData field names');
+  }
+  const styles = typeof config.lists === 'string' ? [config.lists] : isObject(config.lists) ? Object.values(config.lists) : [null];
+  if (!styles.every(style => LIST_STYLES.includes(style))) {
+    throw new Error(`frontmatter.lists: expected ${LIST_STYLES.join(' or ')}, or an object of keys to either`);
+  }
+  return config;
+}
+
+/**
+ * Apply a parsed mapping to the built-in [key, value] properties.
+ * @param {Array<[string, *]>} properties - built-in frontmatter, in order
+ * @param {object} source - NoteData (or folder note) that `fields` read from
+ * @param {object|null} config - from parseFrontmatterConfig(), or null for none
+ * @returns {{ properties: Array<[string, *]>, inline: Set<string> }}
+ */
+export function mapFrontmatter(properties, source, config) {
+  if (!config) return { properties, inline: new Set() };
+
+  const dropped = new Set(config.drop);
+  // A Map keeps each key where it first appeared when a later entry replaces it
+  const mapped = new Map();
+  for (const [key, value] of properties) {
+    if (!dropped.has(key)) mapped.set(config.rename[key] ?? key, value);
+  }
+  for (const [key, field] of Object.entries(config.fields)) {
+    mapped.set(key, readField(source, field));
+  }
+  for (const [key, value] of Object.entries(config.add)) {
+    mapped.set(key, value);
+  }
+
+  const inline = new Set([...mapped.keys()].filter(key =>
+    (typeof config.lists === 'string' ? config.lists : config.lists[key]) === 'inline'));
+  return { properties: [...mapped], inline };
+}
+
+/**
+ * Read a NoteData field by name or dotted path ("notebookMeta.name").
+ * Only JSON-like data is returned; parsed HTML nodes and the like are skipped.
+ */
+function readField(source, field) {
+  const value = field.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), source);
+  if (value === undefined || value === null) return null;
+  if (!isPlainData(value)) {
+    diagnostic('FRONTMATTER_FIELD_SKIPPED', `frontmatter field "${field}" is not plain data, skipping`);
+    return null;
+  }
+  return value;
+}
+
+function isPlainData(value, depth = 0) {
+  if (depth > 10) return false;
+  if (['string', 'number', 'boolean'].includes(typeof value) || value === null) return true;
+  if (Array.isArray(value)) return value.every(item => isPlainData(item, depth + 1));
+  return isObject(value) && Object.values(value).every(item => isPlainData(item, depth + 1));
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function isKey(value) {
+  return typeof value === 'string' && value.length > 0;
+}
@@ -0,0 +1,136 @@
+/**
+ * Build a machine-readable record of a conversion run for auditing.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { hasLostMedia } from './stats.js';
+
+export const MANIFEST_VERSION = 1;
+
+/**
+ * Assemble the manifest from the pipeline's inputs and writeOutput()'s stats.
+ * Attachment sizes and hashes are read back from the vault, so they describe
+ * exactly what was written.
+ * @param {object} run
+ * @param {object[]} run.notes - NoteData array
+ * @param {object[]} run.converted - convertNote() results, indexed like notes
+ * @param {Map} run.nameMap - from buildNameMap()
+ * @param {object} run.stats - from writeOutput()
+ * @param {Map} [run.attachmentPlan] - from planAttachments(), as given to convertNote()
+ * @param {string} run.outputDir - vault root
+ * @param {object} [run.source] - { input, format } describing the export
+ * @param {string} [run.generator] - tool name and version
+ */
+export function buildManifest({ notes, converted, nameMap, stats, outputDir, attachmentPlan, source = {}, generator = null }) {
+  const files = new Map(); // vault path → { size, sha256 }
+  const describeFile = (vaultPath) => {
+    if (!files.has(vaultPath)) files.set(vaultPath, hashFile(path.join(outputDir, vaultPath)));
+    return files.get(vaultPath);
+  };
+
+  const noteEntries = notes.map((note, i) => {
+    const result = stats.noteResults[i];
+    const cardType = converted[i].cardType || null;
+    const missingAttachments = stats.missingAttachments
+      .filter(missing => missing.noteIndex === i)
+      .map(({ source, reason }) => ({ source, reason }));
+    return {
+      noteId: note.noteId,
+      sourceFile: note.sourceFile,
+      notebook: note.notebook,
+      title: note.title,
+      originalTitle: note.originalTitle ?? note.title,
+      outputPath: result.path,
+      skipped: result.skipped,
+      cardType,
+      stats: converted[i].stats ?? null,
+      attachments: result.attachments.map(p => ({ path: p, ...describeFile(p) })),
+      warnings: result.warnings,
+      missingAttachments,
+      // As stats.lostMedia, plus attachments that failed to copy
+      contentLost: hasLostMedia(cardType, attachmentPlan?.get(i)) || missingAttachments.length > 0,
+    };
+  });
+
+  const notebooks = new Map();
+  for (let i = 0; i < notes.length; i++) {
+    const name = notes[i].notebook;
+    if (!notebooks.has(name)) {
+      notebooks.set(name, { name, folder: nameMap.get(i).folder, noteCount: 0, written: 0, noteIds: [] });
+    }
+    const entry = notebooks.get(name);
+    entry.noteCount++;
+    if (stats.noteResults[i].path) entry.written++;
+    entry.noteIds.push(notes[i].noteId);
+  }
+
+  for (const { folder, path: folderNotePath, cover } of stats.folderNotes) {
+    for (const entry of notebooks.values()) {
+      if (entry.folder !== folder) continue;
+      entry.folderNote = folderNotePath;
+      entry.cover = cover;
+    }
+  }
+
+  for (const { folder, path: canvasPath } of stats.canvases) {
+    for (const entry of notebooks.values()) {
+      if (entry.folder === folder) entry.canvas = canvasPath;
+    }
+  }
+
+  const attachments = stats.attachmentResults.map(a => ({
+    source: a.source,
+    container: a.container,
+    destination: a.path,
+    kind: a.kind,
+    ...describeFile(a.path),
+    referencedBy: a.noteIndices.map(i => notes[i].noteId),
+  }));
+
+  return {
+    manifestVersion: MANIFEST_VERSION,
+    generator,
+    createdAt: new Date().toISOString(),
+    source,
+    outputDir,
+    summary: {
+      notes: stats.total,
+      written: stats.noteResults.filter(r => r.path).length,
+      empty: stats.empty,
+      videoLost: stats.videoLost,
+      notebooks: notebooks.size,
+      images: stats.images,
+      files: stats.files,
+      audio: stats.audio,
+      audioUnknown: stats.audioUnknown,
+      zipsUnwrapped: stats.zipsUnwrapped,
+      zipsKept: stats.zipsKept,
+      unreferenced: stats.unreferenced.length,
+    },
+    notebooks: [...notebooks.values()],
+    notes: noteEntries,
+    attachments,
+    unreferenced: stats.unreferenced.map(u => ({
+      source: u.source,
+      container: u.container,
+      destination: u.path,
+      ...(u.path ? describeFile(u.path) : { size: null, sha256: null }),
+    })),
+  };
+}
+
+export function writeManifest(manifestPath, manifest) {
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n', 'utf-8');
+}
+
+function hashFile(filePath) {
+  try {
+    const data = fs.readFileSync(filePath);
+    return { size: data.length, sha256: crypto.createHash('sha256').update(data).digest('hex') };
+  } catch {
+    return { size: null, sha256: null };
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Map-of-content notes: one per notebook listing its notes by card type, and
+ * a vault home note linking every notebook. Both are rebuilt from scratch on
+ * every run, so they always match the notes that were written.
+ */
+
+import { emitFrontmatter, plain } from './yaml.js';
+import { formatTimestamp, toDate } from './dates.js';
+import { sanitizeFilename } from './names.js';
+import { noteLink, GENERATED_BY } from './utils.js';
+
+export const MOC_SORTS = ['title', 'created', 'modified'];
+
+export const HOME_NOTE = 'Zoho Notebook Import.md';
+
+const CARD_GROUPS = [
+  { cardType: 'text', heading: 'Notes' },
+  { cardType: 'photo', heading: 'Photos' },
+  { cardType: 'file', heading: 'Files' },
+  { cardType: 'audio', heading: 'Audio' },
+  { cardType: 'video', heading: 'Video (not included in the export)' },
+  { cardType: 'empty', heading: 'Empty notes' },
+];
+
+/**
+ * Plan the index notes for the written notes.
+ * @param {object[]} notes - NoteData array
+ * @param {object[]} converted - convertNote() results, indexed like notes
+ * @param {object[]} noteResults - writeOutput() results; unwritten notes are left out
+ * @param {object} [options]
+ * @param {string} [options.sort] - 'title' (default), 'created' or 'modified' (newest first)
+ * @param {string} [options.timezone] - for the dates shown next to each note
+ * @returns {{ path: string, markdown: string }[]} notebook MOCs, then the home note
+ */
+export function planIndexNotes(notes, converted, noteResults, options = {}) {
+  const sort = options.sort ?? 'title';
+  const byFolder = new Map();
+  for (let i = 0; i < notes.length; i++) {
+    const notePath = noteResults[i]?.path;
+    if (!notePath) continue;
+    const folder = notePath.slice(0, notePath.lastIndexOf('/'));
+    if (!byFolder.has(folder)) byFolder.set(folder, { folder, name: notes[i].notebook, indices: [] });
+    byFolder.get(folder).indices.push(i);
+  }
+
+  const notebooks = [...byFolder.values()].sort((a, b) => a.name.localeCompare(b.name) || a.folder.localeCompare(b.folder));
+  const mocs = notebooks.map(notebook => {
+    const entries = notebook.indices
+      .map(i => ({
+        path: noteResults[i].path,
+        title: notes[i].title,
+        cardType: converted[i].cardType,
+        date: sort === 'title' ? null : notes[i][sort === 'created' ? 'createdDate' : 'modifiedDate'],
+      }))
+      .sort(sortEntries(sort));
+    return {
+      ...notebook,
+      entries,
+      path: mocPath(notebook.folder, notebook.name),
+    };
+  });
+
+  return [
+    ...mocs.map(moc => ({ path: moc.path, markdown: buildMoc(moc, options) })),
+    { path: HOME_NOTE, markdown: buildHome(mocs) },
+  ];
+}
+
+/**
+ * Vault path of a notebook's map-of-content note.
+ */
+export function mocPath(folder, notebookName) {
+  return `${folder}/${sanitizeFilename(`${notebookName} MOC`)}.md`;
+}
+
+function buildMoc({ name, entries }, options) {
+  const frontmatter = emitFrontmatter([
+    ['title', name],
+    ['notebook', name],
+    ['note-count', entries.length],
+    ['source', plain('zoho-notebook')],
+    ['generated-by', plain(GENERATED_BY)],
+  ]);
+  const lines = [frontmatter, `# ${name}`];
+  for (const { cardType, heading } of CARD_GROUPS) {
+    const group = entries.filter(entry => entry.cardType === cardType);
+    if (group.length === 0) continue;
+    lines.push('', `## ${heading} (${group.length})`, '');
+    for (const entry of group) {
+      const date = entry.date ? formatTimestamp(entry.date, { timezone: options.timezone }) : null;
+      lines.push(`- ${noteLink(entry.path)}${date ? ` · ${date}` : ''}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+function buildHome(mocs) {
+  const total = mocs.reduce((sum, moc) => sum + moc.entries.length, 0);
+  const frontmatter = emitFrontmatter([
+    ['title', 'Zoho Notebook Import'],
+    ['note-count', total],
+    ['notebook-count', mocs.length],
+    ['source', plain('zoho-notebook')],
+    ['generated-by', plain(GENERATED_BY)],
+  ]);
+  const lines = [
+    frontmatter,
+    '# Zoho Notebook Import',
+    '',
+    `${plural(total, 'note')} in ${plural(mocs.length, 'notebook')}.`,
+    '',
+  ];
+  for (const moc of mocs) {
+    const counts = CARD_GROUPS
+      .map(({ cardType }) => [cardType, moc.entries.filter(entry => entry.cardType === cardType).length])
+      .filter(([, count]) => count > 0)
+      .map(([cardType, count]) => `${count} ${cardType}`);
+    lines.push(`- ${noteLink(moc.path, moc.name)} — ${plural(moc.entries.length, 'note')} (${counts.join(', ')})`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function sortEntries(sort) {
+  if (sort === 'title') {
+    return (a, b) => a.title.localeCompare(b.title) || a.path.localeCompare(b.path);
+  }
+  const time = entry => toDate(entry.date)?.getTime() ?? 0;
+  return (a, b) => time(b) - time(a) || a.path.localeCompare(b.path);
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
@@ -0,0 +1,135 @@
+/**
+ * Notebook metadata, cover matching and folder notes.
+ * A folder note (`<folder>/<folder>.md`) describes its notebook and embeds the
+ * notebook's cover when it can be matched (ZOHO-EXPORT-ISSUES #16).
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { resolveAttachmentFolder } from './attachments.js';
+import { normalizeFilename } from './utils.js';
+
+export const COVERS_FOLDER = 'PrivateCovers';
+
+// Shorter IDs only match exactly, so "1" doesn't claim "cover_12.png"
+const MIN_PARTIAL_ID = 4;
+const IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.gif', '.webp', '.bmp', '.svg']);
+
+/**
+ * Normalize notebook metadata from HTML `data-notebook` JSON or a Znote
+ * `meta.json`. Zoho does not document either shape, so fields are read
+ * defensively.
+ */
+export function readNotebookMeta(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const cover = raw.cover && typeof raw.cover === 'object' ? raw.cover : {};
+  const coverId = raw.cover_id ?? cover.cover_id ?? cover.id ?? null;
+  return {
+    id: raw.notebook_id ?? raw.id ?? null,
+    name: raw.name || null,
+    createdDate: raw.created_date || null,
+    modifiedDate: raw.modified_date || null,
+    color: raw.color || null,
+    coverId: coverId === null ? null : String(coverId),
+    isPrivate: raw.is_private ?? cover.is_private ?? null,
+  };
+}
+
+/**
+ * Plan one folder note per notebook folder and match each notebook's cover
+ * against the files in the export's PrivateCovers/ folder.
+ * Options:
+ *   layout - attachment layout; covers go where an attachment of the folder note would
+ * @returns {{ folderNotes: object[], unmatchedCovers: string[], missingCovers: object[] }}
+ *   folderNotes: { folder, filename, name, createdDate, modifiedDate, color,
+ *                  coverId, noteCount, cover: { root, source, path } | null }
+ *   unmatchedCovers: cover files (relative to the export) no notebook claimed
+ *   missingCovers: { folder, coverId } for notebooks whose cover was not found
+ */
+export function planFolderNotes(notes, nameMap, dataDir, options = {}) {
+  const byFolder = new Map();
+  for (let i = 0; i < notes.length; i++) {
+    const { folder } = nameMap.get(i);
+    if (!byFolder.has(folder)) {
+      const meta = notes[i].notebookMeta || {};
+      byFolder.set(folder, {
+        folder,
+        filename: `${folder}.md`,
+        name: meta.name || notes[i].notebook,
+        createdDate: meta.createdDate || null,
+        modifiedDate: meta.modifiedDate || null,
+        color: meta.color || null,
+        coverId: meta.coverId || null,
+        noteCount: 0,
+        cover: null,
+      });
+    }
+    byFolder.get(folder).noteCount++;
+  }
+
+  const coversRoot = path.resolve(dataDir, COVERS_FOLDER);
+  const coverFiles = listCoverFiles(coversRoot);
+  const claimed = new Set();
+  const missingCovers = [];
+
+  for (const notebook of byFolder.values()) {
+    const { coverId } = notebook;
+    if (!coverId) continue;
+
+    const file = matchCover(coverFiles, coverId);
+    if (!file) {
+      missingCovers.push({ folder: notebook.folder, coverId });
+      continue;
+    }
+    claimed.add(file);
+    const attachmentFolder = resolveAttachmentFolder(options.layout ?? 'global', notebook);
+    notebook.cover = {
+      root: coversRoot,
+      source: file,
+      path: `${attachmentFolder}/covers/${normalizeFilename(file)}`,
+    };
+  }
+
+  return {
+    folderNotes: [...byFolder.values()],
+    unmatchedCovers: coverFiles.filter(f => !claimed.has(f)).map(f => `${COVERS_FOLDER}/${f}`),
+    missingCovers,
+  };
+}
+
+/**
+ * Print covers that could not be paired with a notebook, and notebooks whose
+ * cover file is missing from the export.
+ */
+export function printCoverReport({ unmatchedCovers, missingCovers }) {
+  if (unmatchedCovers.length > 0) {
+    console.log(`\nCovers not matched to a notebook (${unmatchedCovers.length}):`);
+    for (const file of unmatchedCovers) console.log(`  ${file}`);
+  }
+  if (missingCovers.length > 0) {
+    console.log(`\nNotebook covers not found in the export (${missingCovers.length}):`);
+    for (const { folder, coverId } of missingCovers) console.log(`  ${folder}/ (cover ${coverId})`);
+  }
+}
+
+/**
+ * Zoho doesn't document how cover IDs map to file names (ZOHO-EXPORT-ISSUES #16).
+ * Prefer an exact basename match, then any name containing the ID.
+ */
+function matchCover(coverFiles, coverId) {
+  const stem = file => path.basename(file, path.extname(file));
+  return coverFiles.find(f => stem(f) === coverId)
+    || (coverId.length >= MIN_PARTIAL_ID ? coverFiles.find(f => stem(f).includes(coverId)) : null)
+    || null;
+}
+
+function listCoverFiles(coversRoot) {
+  try {
+    return fs.readdirSync(coversRoot, { withFileTypes: true })
+      .filter(e => e.isFile() && IMAGE_EXTENSIONS.has(path.extname(e.name).toLowerCase()))
+      .map(e => e.name)
+      .sort();
+  } catch {
+    return [];
+  }
+}
@@ -1,6 +1,9 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import * as cheerio from 'cheerio';
+import { readNotebookMeta } from './notebooks.js';
+import { findReminders } from './reminders.js';
+import { diagnostic } from './diagnostics.js';
 
 /**
  * Parse a Zoho Notebook HTML file into a NoteData object.
@@ -26,6 +29,7 @@ export function parseNote(htmlFilePath) {
   // Collect referenced images and files
   const images = [];
   const attachments = [];
+  const attachmentNames = new Map(); // href → link text (original filename for file cards)
 
   $content.find('img').each((_, el) => {
     const src = $(el).attr('src');
@@ -36,8 +40,12 @@ export function parseNote(htmlFilePath) {
 
   $content.find('a').each((_, el) => {
     const href = $(el).attr('href');
-    if (href && !href.startsWith('http') && !href.startsWith('zohonotebook://') && !href.startsWith('mailto:')) {
+    // '#…' hrefs are in-page anchors (Zoho's rte-link uses href="#"), not files
+    if (href && !href.startsWith('http') && !href.startsWith('zohonotebook://') && !href.startsWith('mailto:')
+      && !href.startsWith('#')) {
       attachments.push(href);
+      const linkText = $(el).text().trim();
+      if (linkText && !attachmentNames.has(href)) attachmentNames.set(href, linkText);
     }
   });
 
@@ -45,13 +53,16 @@ export function parseNote(htmlFilePath) {
     sourceFile,
     noteId: path.basename(htmlFilePath, '.html'),
     notebook: notebookData?.name || 'Uncategorized',
+    notebookMeta: readNotebookMeta(notebookData),
     title: notecardData?.name || title,
     color: notecardData?.color || null,
     createdDate: notecardData?.created_date || notebookData?.created_date || null,
     modifiedDate: notecardData?.modified_date || notebookData?.modified_date || null,
+    reminders: findReminders(notecardData),
     contentNode: $content[0],
     images,
     attachments,
+    attachmentNames,
   };
 }
 
@@ -60,7 +71,7 @@ function parseJsonAttr(value, attrName, sourceFile) {
   try {
     return JSON.parse(value);
   } catch (err) {
-    console.warn(`  WARN: Could not parse ${attrName} in ${sourceFile}: ${err.message}`);
+    diagnostic('METADATA_INVALID', `Could not parse ${attrName}: ${err.message}`, { source: sourceFile });
     return null;
   }
 }
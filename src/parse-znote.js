@@ -3,12 +3,20 @@ import path from 'node:path';
 import os from 'node:os';
 import * as cheerio from 'cheerio';
 import { extract } from 'tar';
+import { readNotebookMeta } from './notebooks.js';
+import { findReminders } from './reminders.js';
+import { diagnostic } from './diagnostics.js';
 
 const BLOCKED_TAR_TYPES = new Set(['SymbolicLink', 'Link', 'CharacterDevice', 'BlockDevice', 'FIFO']);
 
+// Envelope elements already mapped to NoteData fields
+const MAPPED_ENVELOPE_ELEMENTS = new Set(['ZTitle', 'ZCreatedDate', 'ZModifiedDate', 'ZNoteColor', 'ZContent']);
+
 /**
  * Parse an entire Znote-format export directory.
- * Returns { notes: NoteData[], cleanup } where cleanup removes extracted tar temp dirs.
+ * Returns { notes: NoteData[], failures, cleanup } where cleanup removes extracted
+ * tar temp dirs and failures lists { file, reason } for .znote files that could
+ * not be read (file relative to the export).
  */
 export function parseZnoteExport(dataDir) {
   const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zoho-znote-'));
@@ -19,6 +27,7 @@ export function parseZnoteExport(dataDir) {
 
   try {
     const notes = [];
+    const failures = [];
     const entries = fs.readdirSync(dataDir, { withFileTypes: true });
 
     for (const entry of entries) {
@@ -38,16 +47,18 @@ export function parseZnoteExport(dataDir) {
 
       for (const znotePath of znoteFiles) {
         try {
-          const note = parseZnote(znotePath, meta, tempDir);
-          if (note) notes.push(note);
+          notes.push(parseZnote(znotePath, meta, tempDir));
         } catch (err) {
-          console.warn(`  WARN: Failed to parse ${path.basename(znotePath)}: ${err.message}`);
-          continue;
+          diagnostic('ZNOTE_PARSE_FAILED', `Failed to parse: ${err.message}`, {
+            noteId: path.basename(znotePath, '.znote'),
+            source: `${entry.name}/${path.basename(znotePath)}`,
+          });
+          failures.push({ file: `${entry.name}/${path.basename(znotePath)}`, reason: err.message });
         }
       }
     }
 
-    return { notes, cleanup };
+    return { notes, failures, cleanup };
   } catch (err) {
     cleanup();
     throw err;
@@ -62,8 +73,7 @@ function parseZnote(znotePath, notebookMeta, tempDir) {
   const noteId = path.basename(znotePath, '.znote');
 
   if (noteId === '.' || noteId === '..' || noteId.includes(path.sep)) {
-    console.warn(`  WARN: Suspicious note ID "${noteId}" in ${znoteFilename}, skipping`);
-    return null;
+    throw new Error(`Suspicious note ID "${noteId}"`);
   }
 
   // Extract tar to temp directory
@@ -76,7 +86,7 @@ function parseZnote(znotePath, notebookMeta, tempDir) {
     sync: true,
     filter: (_p, entry) => {
       if (BLOCKED_TAR_TYPES.has(entry.type)) {
-        console.warn(`  WARN: Skipping ${entry.type} in ${znoteFilename}: ${entry.path}`);
+        diagnostic('ZNOTE_ENTRY_BLOCKED', `Skipping ${entry.type}: ${entry.path}`, { noteId, source: znoteFilename });
         return false;
       }
       return true;
@@ -86,8 +96,7 @@ function parseZnote(znotePath, notebookMeta, tempDir) {
   // Find Note.znel inside the extracted tar
   const znelPath = path.join(extractDir, noteId, 'Note.znel');
   if (!fs.existsSync(znelPath)) {
-    console.warn(`  WARN: No Note.znel found in ${znoteFilename}`);
-    return null;
+    throw new Error('No Note.znel found');
   }
 
   const znelContent = fs.readFileSync(znelPath, 'utf-8');
@@ -100,6 +109,7 @@ function parseZnote(znotePath, notebookMeta, tempDir) {
   const modifiedDate = $xml('ZModifiedDate').first().text().trim() || null;
   const color = $xml('ZNoteColor').first().text().trim() || null;
   const noteType = $xml('ZNoteType').first().text().trim() || null;
+  const zohoMeta = readEnvelope($xml);
 
   // Extract CDATA content from ZContent
   const zContentEl = $xml('ZContent').first();
@@ -131,6 +141,7 @@ function parseZnote(znotePath, notebookMeta, tempDir) {
   // Collect images and attachments from znresource elements
   const images = [];
   const attachments = [];
+  const attachmentNames = new Map(); // relative-path/href → original filename
 
   $content.find('znresource').each((_, el) => {
     const relativePath = $(el).attr('relative-path');
@@ -143,6 +154,8 @@ function parseZnote(znotePath, notebookMeta, tempDir) {
       images.push(relativePath);
     } else {
       attachments.push(relativePath);
+      const fileName = $(el).attr('file-name');
+      if (fileName && !attachmentNames.has(relativePath)) attachmentNames.set(relativePath, fileName);
     }
   });
 
@@ -156,8 +169,12 @@ function parseZnote(znotePath, notebookMeta, tempDir) {
 
   $content.find('a').each((_, el) => {
     const href = $(el).attr('href');
-    if (href && !href.startsWith('http') && !href.startsWith('zohonotebook://') && !href.startsWith('mailto:')) {
+    // '#…' hrefs are in-page anchors (Zoho's rte-link uses href="#"), not files
+    if (href && !href.startsWith('http') && !href.startsWith('zohonotebook://') && !href.startsWith('mailto:')
+      && !href.startsWith('#')) {
       attachments.push(href);
+      const linkText = $(el).text().trim();
+      if (linkText && !attachmentNames.has(href)) attachmentNames.set(href, linkText);
     }
   });
 
@@ -168,24 +185,80 @@ function parseZnote(znotePath, notebookMeta, tempDir) {
     sourceFile: znoteFilename,
     noteId,
     notebook: notebookMeta.name || 'Uncategorized',
+    notebookMeta: readNotebookMeta(notebookMeta),
     title,
     color,
     createdDate,
     modifiedDate,
     noteType,
+    zohoMeta,
+    reminders: findReminders(zohoMeta),
     contentNode: $content[0],
     images,
     attachments,
+    attachmentNames,
     attachmentDir,
   };
 }
 
+/**
+ * Keep every Note.znel element not mapped to a NoteData field, keyed by
+ * kebab-case name ("ZIsFavorite" → "is-favorite"). ZMeta is flattened; other
+ * elements with children become nested objects, repeated elements become
+ * arrays, and attributes are kept alongside the text as `value`.
+ */
+function readEnvelope($xml) {
+  const fields = {};
+  const collect = (elements) => {
+    for (const el of elements) {
+      if (el.name === 'ZMeta') {
+        collect($xml(el).children().toArray());
+      } else if (!MAPPED_ENVELOPE_ELEMENTS.has(el.name)) {
+        addField(fields, envelopeKey(el.name), envelopeValue($xml, el));
+      }
+    }
+  };
+  collect($xml('ZNote').first().children().toArray());
+  return fields;
+}
+
+function envelopeValue($xml, el) {
+  const value = { ...el.attribs };
+  const children = $xml(el).children().toArray();
+  if (children.length > 0) {
+    for (const child of children) addField(value, envelopeKey(child.name), envelopeValue($xml, child));
+    return value;
+  }
+  const text = $xml(el).text().trim();
+  if (Object.keys(value).length === 0) return text;
+  if (text) value.value = text;
+  return value;
+}
+
+function addField(fields, key, value) {
+  if (!(key in fields)) {
+    fields[key] = value;
+  } else if (Array.isArray(fields[key])) {
+    fields[key].push(value);
+  } else {
+    fields[key] = [fields[key], value];
+  }
+}
+
+function envelopeKey(name) {
+  return name
+    .replace(/^Z(?=[A-Z])/, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1-$2')
+    .toLowerCase();
+}
+
 function readMetaJson(metaPath) {
   try {
     const raw = fs.readFileSync(metaPath, 'utf-8');
     return JSON.parse(raw);
   } catch (err) {
-    console.warn(`  WARN: Could not parse ${metaPath}: ${err.message}`);
+    diagnostic('METADATA_INVALID', `Could not parse: ${err.message}`, { source: metaPath });
     return null;
   }
 }
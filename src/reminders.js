@@ -0,0 +1,73 @@
+/**
+ * Find Zoho reminders and render them for frontmatter and Tasks-plugin annotations.
+ * Zoho doesn't document where reminders live, so any field whose name
+ * mentions "reminder" (or "due", on checklist items) is read, and any
+ * date-like value under it is taken as a reminder time.
+ */
+
+import { zonedParts } from './dates.js';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const EPOCH_MILLIS = /^\d{12,13}$/;
+
+/**
+ * Collect reminder times from parsed metadata (Znote envelope fields or HTML
+ * `data-notecard` JSON). Returns the raw values, earliest first, without duplicates.
+ */
+export function findReminders(meta) {
+  const found = new Set();
+  const visit = (value, inReminder) => {
+    if (Array.isArray(value)) {
+      for (const item of value) visit(item, inReminder);
+    } else if (value && typeof value === 'object') {
+      for (const [key, inner] of Object.entries(value)) visit(inner, inReminder || /reminder/i.test(key));
+    } else if (inReminder && value !== null && value !== undefined && parseReminder(String(value))) {
+      found.add(String(value));
+    }
+  };
+  visit(meta, false);
+  return [...found].sort((a, b) => parseReminder(a).sortKey.localeCompare(parseReminder(b).sortKey));
+}
+
+/**
+ * Due date on a checklist item, from an attribute such as `reminder` or
+ * `due-date`. Returns the raw value or null.
+ */
+export function itemReminder(attribs = {}) {
+  for (const [name, value] of Object.entries(attribs)) {
+    if (/reminder|due/i.test(name) && parseReminder(value)) return value;
+  }
+  return null;
+}
+
+/**
+ * Frontmatter value: "YYYY-MM-DDTHH:mm", or "YYYY-MM-DD" without a time.
+ * `timezone` works as in dates.js; by default the wall-clock time is kept as written.
+ */
+export function formatReminder(value, timezone) {
+  const parsed = parseReminder(value, timezone);
+  if (!parsed) return null;
+  return parsed.time ? `${parsed.date}T${parsed.time}` : parsed.date;
+}
+
+/**
+ * Tasks-plugin due date, plus a ⏰ reminder when the time is known:
+ * " 📅 2024-05-01 ⏰ 2024-05-01 09:00"
+ */
+export function taskAnnotation(value, timezone) {
+  const parsed = parseReminder(value, timezone);
+  if (!parsed) return '';
+  return parsed.time ? ` 📅 ${parsed.date} ⏰ ${parsed.date} ${parsed.time}` : ` 📅 ${parsed.date}`;
+}
+
+function parseReminder(value, timezone = 'source') {
+  let text = String(value ?? '').trim();
+  if (EPOCH_MILLIS.test(text)) text = new Date(Number(text)).toISOString();
+  else if (!/^\d{4}-\d{2}-\d{2}/.test(text)) return null;
+
+  const parts = zonedParts(text, timezone);
+  if (!parts) return null;
+  const date = `${parts.YYYY}-${parts.MM}-${parts.DD}`;
+  const time = DATE_ONLY.test(text) ? null : `${parts.HH}:${parts.mm}`;
+  return { date, time, sortKey: `${date}T${time ?? '00:00'}` };
+}
@@ -0,0 +1,124 @@
+/**
+ * "Import Report.md": a note in the vault listing what needs attention after
+ * a run, with checklist items linking to each affected note so the cleanup
+ * can be worked through inside Obsidian.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { emitFrontmatter, plain } from './yaml.js';
+import { toDate } from './dates.js';
+import { noteLink, GENERATED_BY } from './utils.js';
+
+export const REPORT_NOTE = 'Import Report.md';
+
+const UNRESOLVED_LINK = /<!-- zoho internal link \(unresolved\): (.*?) -->/g;
+const AUDIO_WARNING = 'Audio format not recognized: ';
+
+const SKIP_REASONS = {
+  empty: 'empty (--skip-empty)',
+  exists: 'a file already exists at its path (--on-conflict skip)',
+  'unsafe-folder': 'its notebook folder would be outside the vault',
+  deleted: 'its file was deleted from the vault after an earlier import (--incremental)',
+};
+
+/**
+ * Build the report from a writeOutput() run.
+ * @param {object} run
+ * @param {object[]} run.notes - NoteData array
+ * @param {object[]} run.converted - convertNote() results, indexed like notes
+ * @param {object} run.stats - from writeOutput()
+ * @param {object[]} [run.failures] - { file, reason } for export files that could not be parsed
+ * @param {Date} [run.createdAt]
+ */
+export function buildImportReport({ notes, converted, stats, failures = [], createdAt = new Date() }) {
+  const link = i => {
+    const result = stats.noteResults[i];
+    return result.path ? noteLink(result.path, notes[i].title) : `${notes[i].title} (${notes[i].sourceFile})`;
+  };
+
+  const lostVideo = [];
+  const audio = [];
+  const unresolved = [];
+  const invalidDates = [];
+  const skipped = [];
+  const empty = [];
+  for (let i = 0; i < notes.length; i++) {
+    const result = stats.noteResults[i];
+    if (converted[i].cardType === 'video') lostVideo.push(`- [ ] ${link(i)}`);
+    for (const warning of result.warnings) {
+      if (warning.startsWith(AUDIO_WARNING)) {
+        audio.push(`- [ ] ${link(i)}: \`${warning.slice(AUDIO_WARNING.length)}\` has no recognizable format; try renaming it to .m4a or .webm`);
+      }
+    }
+    for (const [, target] of converted[i].body.matchAll(UNRESOLVED_LINK)) {
+      unresolved.push(`- [ ] ${link(i)}: \`${target}\``);
+    }
+    for (const field of ['createdDate', 'modifiedDate']) {
+      const value = notes[i][field];
+      if (value && !toDate(value)) invalidDates.push(`- [ ] ${link(i)}: ${field === 'createdDate' ? 'created' : 'modified'} date "${value}"`);
+    }
+    if (result.skipped) {
+      skipped.push(`- ${link(i)}: ${SKIP_REASONS[result.skipped] ?? result.skipped}`);
+    } else if (converted[i].cardType === 'empty') {
+      empty.push(`- [ ] ${link(i)}`);
+    }
+  }
+  const missing = stats.missingAttachments.map(m => `- [ ] ${link(m.noteIndex)}: ${m.reason}`);
+  const parseFailures = failures.map(f => `- [ ] \`${f.file}\`: ${f.reason}`);
+
+  const written = stats.noteResults.filter(r => r.path).length;
+  const totals = [
+    `- Notes written: ${written} of ${stats.total}`,
+    `- Notebooks: ${stats.notebooks.size}`,
+    `- Attachments copied: ${stats.images} images, ${stats.files} files, ${stats.audio} audio`,
+    `- Notes with lost video: ${lostVideo.length}`,
+    `- Audio files needing attention: ${audio.length}`,
+    `- Missing attachments: ${missing.length}`,
+    `- Unresolved internal links: ${unresolved.length}`,
+    `- Invalid dates: ${invalidDates.length}`,
+    `- Skipped notes: ${skipped.length}`,
+    `- Empty notes: ${empty.length}`,
+    `- Export files that could not be read: ${parseFailures.length}`,
+  ];
+  if (stats.unreferenced.length > 0) {
+    totals.push(`- Export files not referenced by any note: ${stats.unreferenced.length}`);
+  }
+
+  const lines = [
+    emitFrontmatter([
+      ['title', 'Import Report'],
+      ['created', plain(createdAt.toISOString().slice(0, 10))],
+      ['source', plain('zoho-notebook')],
+      ['generated-by', plain(GENERATED_BY)],
+    ]),
+    '# Import Report',
+    '',
+    `Zoho Notebook import of ${createdAt.toISOString().slice(0, 16).replace('T', ' ')} UTC. `
+      + 'Tick items off as you fix them; the next import replaces this note.',
+    '',
+    '## Totals',
+    '',
+    ...totals,
+  ];
+  const section = (heading, description, items) => {
+    if (items.length === 0) return;
+    lines.push('', `## ${heading} (${items.length})`, '', description, '', ...items);
+  };
+  section('Lost video', "Zoho's export doesn't include video files. Download these from Zoho Notebook and attach them by hand.", lostVideo);
+  section('Audio files needing attention', 'These recordings were copied without a file extension, so Obsidian may not play them.', audio);
+  section('Missing attachments', 'Files these notes refer to were not in the export or could not be copied.', missing);
+  section('Unresolved internal links', 'Links to Zoho notes that were not part of this export. They are kept as comments in the note.', unresolved);
+  section('Invalid dates', 'These dates could not be read and were left out of the frontmatter.', invalidDates);
+  section('Skipped notes', 'These notes were not written.', skipped);
+  section('Empty notes', 'These notes have no content. Delete them or fill them in.', empty);
+  section('Export files that could not be read', 'These notes are missing from the vault.', parseFailures);
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * @param {string} [vaultPath] - where --on-conflict put the report (see planGeneratedFiles())
+ */
+export function writeImportReport(outputDir, markdown, vaultPath = REPORT_NOTE) {
+  fs.writeFileSync(path.join(outputDir, vaultPath), markdown, 'utf-8');
+}
@@ -0,0 +1,73 @@
+/**
+ * Import state for incremental re-runs.
+ * Records what was written for each note so later runs can skip unchanged
+ * notes, follow renames and avoid overwriting edits made in Obsidian.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+export const STATE_FILENAME = '.zoho-import-state.json';
+const STATE_VERSION = 1;
+
+/**
+ * Read the state file from a previous run. Returns an empty state if there is none.
+ */
+export function loadState(outputDir) {
+  const statePath = path.join(outputDir, STATE_FILENAME);
+  if (!fs.existsSync(statePath)) return { version: STATE_VERSION, notes: {} };
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+    if (state?.version !== STATE_VERSION || typeof state.notes !== 'object' || !state.notes) {
+      throw new Error('unrecognized format');
+    }
+    return state;
+  } catch (err) {
+    throw new Error(`Could not read import state ${statePath}: ${err.message}`);
+  }
+}
+
+export function saveState(outputDir, state) {
+  const statePath = path.join(outputDir, STATE_FILENAME);
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2) + '\n', 'utf-8');
+}
+
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Decide what an incremental run should do with one note.
+ * @param {object|undefined} prev - this note's entry from the previous state
+ * @param {object} note - NoteData
+ * @param {string} vaultPath - where the note belongs now ("folder/filename")
+ * @param {string} markdown - freshly converted content
+ * @param {string} outputDir - vault root
+ * @returns {{ action: string, hash: string, moveFrom: string|null }}
+ *   action is 'create', 'update', 'unchanged', 'move' (path changed, content
+ *   didn't) or 'conflict' (changed in Zoho and edited locally)
+ */
+export function planNoteWrite(prev, note, vaultPath, markdown, outputDir) {
+  const hash = hashContent(markdown);
+  if (!prev) return { action: 'create', hash, moveFrom: null };
+
+  const currentPath = path.join(outputDir, prev.path);
+  const exists = fs.existsSync(currentPath);
+  const edited = exists && hashContent(fs.readFileSync(currentPath)) !== prev.hash;
+  const changed = prev.modifiedDate !== (note.modifiedDate || null) || prev.importedHash !== hash;
+  const moveFrom = prev.path !== vaultPath && exists ? prev.path : null;
+
+  if (!changed) {
+    return { action: moveFrom ? 'move' : 'unchanged', hash, moveFrom };
+  }
+  return { action: edited ? 'conflict' : 'update', hash, moveFrom };
+}
+
+/**
+ * Path for the incoming version of a note that was edited locally.
+ */
+export function conflictPath(vaultPath) {
+  const ext = path.posix.extname(vaultPath);
+  return `${vaultPath.slice(0, -ext.length)} (Zoho conflict)${ext}`;
+}
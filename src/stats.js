@@ -0,0 +1,68 @@
+/**
+ * Per-note content statistics, for frontmatter (--note-stats) and the manifest.
+ * Everything is counted on the converted Markdown, so it matches what ends up
+ * in the vault.
+ */
+
+import { plainText } from './utils.js';
+import { plain } from './yaml.js';
+
+// Han and kana characters count as one word each, as in Obsidian's word count
+const WORD = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[\p{L}\p{M}\p{N}]+(?:['’.-][\p{L}\p{M}\p{N}]+)*/gu;
+
+/**
+ * @param {string} body - convertBody() Markdown
+ * @param {string} cardType - convertBody() card type
+ * @param {Map} [attachments] - this note's entries from planAttachments()
+ * @returns {{ cardType: string, words: number, openTasks: number, completedTasks: number,
+ *             attachments: number, internalLinks: number, lostMedia: boolean }}
+ */
+export function noteStats(body, cardType, attachments) {
+  const embeds = new Set([...body.matchAll(/!\[\[([^\]]*)\]\]/g)].map(m => m[1]));
+  return {
+    cardType,
+    words: countWords(body),
+    openTasks: (body.match(/^\s*- \[ \] /gm) || []).length,
+    completedTasks: (body.match(/^\s*- \[x\] /gm) || []).length,
+    attachments: embeds.size,
+    internalLinks: (body.match(/(?<!!)\[\[[^\]]*\]\]/g) || []).length,
+    lostMedia: hasLostMedia(cardType, attachments),
+  };
+}
+
+/**
+ * Whether a note references media the vault won't have: Zoho's export drops
+ * video files (the note only keeps a warning), and planned attachments
+ * without a source are missing from the export.
+ * @param {string} cardType - convertBody() card type
+ * @param {Map} [attachments] - this note's entries from planAttachments()
+ */
+export function hasLostMedia(cardType, attachments) {
+  return cardType === 'video' || [...(attachments?.values() ?? [])].some(entry => entry.src === null);
+}
+
+/**
+ * Frontmatter properties for noteStats() values.
+ */
+export function statsProperties(stats) {
+  return [
+    ['card-type', plain(stats.cardType)],
+    ['word-count', stats.words],
+    ['open-tasks', stats.openTasks],
+    ['completed-tasks', stats.completedTasks],
+    ['attachment-count', stats.attachments],
+    ['link-count', stats.internalLinks],
+    ['has-lost-media', stats.lostMedia],
+  ];
+}
+
+function countWords(body) {
+  let count = 0;
+  for (const line of body.split('\n')) {
+    // The video warning and audio rename note aren't note content
+    if (/^> \*\*(Warning|Note)\*\*:/.test(line)) continue;
+    const text = plainText(line.replace(/^Attached (file|audio): /, ''));
+    count += (text.match(WORD) || []).length;
+  }
+  return count;
+}
@@ -0,0 +1,91 @@
+/**
+ * Build Obsidian tags from notebook names and other Zoho text.
+ * Obsidian tags may hold any Unicode letters and numbers plus `_`, `-` and
+ * `/` (for nesting), and can't be purely numeric.
+ */
+
+export const TAG_STYLES = ['flat', 'nested', 'none'];
+
+export const DEFAULT_BASE_TAG = 'zoho-notebook';
+
+/**
+ * Turn text into a single tag segment: lowercase, spaces to hyphens,
+ * anything Obsidian doesn't allow dropped. "Café Ideas" → "café-ideas",
+ * "日記" → "日記". Returns '' when nothing usable is left.
+ */
+export function toTag(text) {
+  const tag = String(text ?? '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^\p{L}\p{M}\p{N}_-]/gu, '')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+  return /^\d+$/.test(tag) ? `notebook-${tag}` : tag;
+}
+
+/**
+ * Normalize a tag that may be nested ("Zoho/Import" → "zoho/import").
+ */
+export function toNestedTag(text) {
+  return String(text ?? '').split('/').map(toTag).filter(Boolean).join('/');
+}
+
+/**
+ * Tags for a note in `notebook`:
+ *   flat   - [base, notebook]          (zoho-notebook, café-ideas)
+ *   nested - [base/notebook]           (zoho-notebook/café-ideas)
+ *   none   - [base]
+ * An empty base tag leaves it out.
+ */
+export function notebookTags(notebook, { tagStyle = 'flat', baseTag = DEFAULT_BASE_TAG } = {}) {
+  const base = toNestedTag(baseTag);
+  const notebookTag = toTag(notebook);
+  if (tagStyle === 'none' || !notebookTag) return base ? [base] : [];
+  if (tagStyle === 'nested') return [base ? `${base}/${notebookTag}` : notebookTag];
+  return [...new Set([base, notebookTag].filter(Boolean))];
+}
+
+// "#project-x" at the start of the text or after whitespace or opening
+// punctuation, so URL fragments ("page#top") and "C#" are left alone
+const HASHTAG = /(^|[\s([{"'“‘,;])#([\p{L}\p{M}\p{N}_][\p{L}\p{M}\p{N}_/-]*)/gu;
+
+/**
+ * Find inline hashtags in a run of plain text. Purely numeric ones ("#1")
+ * aren't tags in Obsidian and are skipped.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {boolean} [options.strip] - remove the hashtags from the returned text
+ * @param {string} [options.before] - the character `text` follows, when it
+ *   continues a line ("**Hello**#bold" is not a tag); default: start of line
+ * @returns {{ text: string, tags: string[] }} tags without the leading '#'
+ */
+export function extractHashtags(text, options = {}) {
+  const before = options.before ?? '';
+  const tags = [];
+  const result = (before + text).replace(HASHTAG, (match, lead, name) => {
+    const tag = name.replace(/[/-]+$/, '');
+    if (!tag || /^\d+$/.test(tag)) return match;
+    tags.push(tag);
+    return options.strip ? lead + name.slice(tag.length) : match;
+  }).slice(before.length);
+  if (!options.strip || tags.length === 0) return { text: result, tags };
+  // Close the gap a removed hashtag leaves between words
+  return { text: result.replace(/[ \t]{2,}/g, ' '), tags };
+}
+
+/**
+ * Merge tag lists, dropping later duplicates. Obsidian matches tags
+ * case-insensitively, so "Project-X" and "project-x" are the same tag.
+ */
+export function mergeTags(...lists) {
+  const seen = new Set();
+  const merged = [];
+  for (const tag of lists.flat()) {
+    const key = tag.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    merged.push(tag);
+  }
+  return merged;
+}
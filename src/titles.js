@@ -0,0 +1,103 @@
+/**
+ * Infer titles for notes Zoho exported as "Untitled" (ZOHO-EXPORT-ISSUES #17).
+ */
+
+import path from 'node:path';
+import { normalizeFilename, plainText } from './utils.js';
+import { convertBody } from './convert.js';
+import { extractHashtags } from './tags.js';
+
+const MAX_TITLE_LENGTH = 60;
+// Cards whose body is not the user's text (video cards hold our "not exported" warning)
+const NO_TEXT_TITLE_CARDS = new Set(['photo', 'file', 'audio', 'video']);
+const URL = /<?\b(?:https?:\/\/|www\.)[^\s>]+>?/gi;
+// Link syntax in Obsidian: "[[Hello#bold]]" would point at a heading
+const LINK_SYNTAX = /[#^[\]|]/g;
+
+/**
+ * Return a copy of `notes` where every untitled note gets a title inferred
+ * from its content. The original title is kept as `originalTitle`.
+ * Notes with a real title, or where nothing usable is found, are returned unchanged.
+ */
+export function inferTitles(notes) {
+  return notes.map(note => {
+    if (!isUntitled(note.title)) return note;
+    const title = inferTitle(note);
+    return title ? { ...note, title, originalTitle: note.title } : note;
+  });
+}
+
+export function isUntitled(title) {
+  return !title || title.trim().toLowerCase() === 'untitled';
+}
+
+/**
+ * Pick a title for a single note. Tries, in order:
+ * first heading, first line of text, attachment name, created date.
+ * @returns {string|null}
+ */
+export function inferTitle(noteData) {
+  const { body, cardType } = convertBody(noteData);
+
+  if (!NO_TEXT_TITLE_CARDS.has(cardType)) {
+    const fromText = titleFromBody(body);
+    if (fromText) return fromText;
+  }
+
+  return titleFromAttachment(noteData) || titleFromDate(noteData.createdDate);
+}
+
+function titleFromBody(body) {
+  const heading = body.match(/^#{1,6}\s+(.+)$/m);
+  if (heading) {
+    const text = titleText(heading[1]);
+    if (text) return truncate(text);
+  }
+
+  for (const line of body.split('\n')) {
+    // Tables, rules and code fences don't make useful titles
+    if (/^\s*(\||---|```)/.test(line)) continue;
+    const text = titleText(line);
+    if (text) return truncate(text);
+  }
+  return null;
+}
+
+/**
+ * Readable text of a line, without hashtags, URLs or characters that would
+ * break a wikilink to the note.
+ */
+function titleText(line) {
+  const text = extractHashtags(plainText(line).replace(URL, ' '), { strip: true }).text;
+  return text.replace(LINK_SYNTAX, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function titleFromAttachment(noteData) {
+  // Link text carries the original filename for file and audio cards
+  for (const name of noteData.attachmentNames?.values() || []) {
+    const text = normalizeFilename(name).replace(LINK_SYNTAX, ' ').replace(/\s+/g, ' ').trim();
+    if (text) return truncate(text);
+  }
+
+  const ref = noteData.images?.[0] || noteData.attachments?.find(a => a !== '#');
+  if (!ref) return null;
+  const base = path.basename(normalizeFilename(ref), path.extname(ref)).replace(LINK_SYNTAX, ' ').trim();
+  return base ? truncate(base) : null;
+}
+
+function titleFromDate(dateString) {
+  // Zoho dates carry the note's own UTC offset, so the literal date is the local day
+  const match = dateString?.match(/^\d{4}-\d{2}-\d{2}/);
+  return match ? match[0] : null;
+}
+
+/**
+ * Shorten to MAX_TITLE_LENGTH, preferring a word boundary.
+ */
+function truncate(text) {
+  const chars = [...text];
+  if (chars.length <= MAX_TITLE_LENGTH) return text;
+  const cut = chars.slice(0, MAX_TITLE_LENGTH).join('');
+  const lastSpace = cut.lastIndexOf(' ');
+  return (lastSpace > MAX_TITLE_LENGTH / 2 ? cut.slice(0, lastSpace) : cut).trimEnd();
+}
@@ -0,0 +1,96 @@
+/**
+ * Find export files that no note references (stray images, attachments of
+ * notes that failed to parse, PrivateCovers/ ...) so they can be reported
+ * or copied instead of silently dropped.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { GENERATED_BY } from './utils.js';
+
+export const UNREFERENCED_FOLDER = 'attachments/_unreferenced';
+export const UNREFERENCED_INDEX = 'Unreferenced files.md';
+
+/**
+ * Inventory every file in `dataDir` and in each note's extracted .znote
+ * folder, minus the files the conversion itself consumes (parsed notes,
+ * index.html, meta.json, Note.znel), everything in the attachment plan and
+ * the absolute paths in `alsoReferenced` (e.g. matched notebook covers).
+ * @returns {object[]} { root, source, container, dest } sorted by container and
+ *   source, where `source` is relative to the `root` directory it was found in
+ *   and `dest` is the path under UNREFERENCED_FOLDER
+ */
+export function findUnreferencedFiles(notes, dataDir, attachmentPlan, alsoReferenced = []) {
+  const referenced = new Set(alsoReferenced);
+  for (const entries of attachmentPlan.values()) {
+    for (const { src } of entries.values()) {
+      if (src) referenced.add(src);
+    }
+  }
+  const parsedSources = new Set(notes.map(note => note.sourceFile));
+
+  const files = [];
+  const root = path.resolve(dataDir);
+  for (const rel of listFiles(root)) {
+    const name = path.posix.basename(rel);
+    if (name === 'index.html' || name === 'meta.json' || parsedSources.has(name)) continue;
+    if (!referenced.has(path.join(root, rel))) files.push({ root, source: rel, container: null, dest: rel });
+  }
+
+  // Znote notes carry their files in their own extracted folder
+  for (const note of notes) {
+    if (!note.attachmentDir || path.resolve(note.attachmentDir) === root) continue;
+    const noteRoot = path.resolve(note.attachmentDir);
+    const folder = note.sourceFile.replace(/\.znote$/, '');
+    for (const rel of listFiles(noteRoot)) {
+      if (rel === 'Note.znel' || referenced.has(path.join(noteRoot, rel))) continue;
+      files.push({ root: noteRoot, source: rel, container: note.sourceFile, dest: `${folder}/${rel}` });
+    }
+  }
+
+  return files.sort((a, b) =>
+    (a.container || '').localeCompare(b.container || '') || a.source.localeCompare(b.source));
+}
+
+/**
+ * Markdown index linking every copied unreferenced file to where it came from.
+ */
+export function buildUnreferencedIndex(files) {
+  const lines = [
+    '---',
+    'title: "Unreferenced files"',
+    'source: zoho-notebook',
+    `generated-by: ${GENERATED_BY}`,
+    '---',
+    '',
+    'Files found in the Zoho Notebook export that no note references.',
+    '',
+  ];
+  for (const { source, container, dest } of files) {
+    const from = container ? `${container}: ${source}` : source;
+    lines.push(`- [[${UNREFERENCED_FOLDER}/${dest}]] (${from})`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Relative POSIX paths of all regular files below `dir`. Symlinks are not followed.
+ */
+function listFiles(dir, prefix = '') {
+  let entries;
+  try {
+    entries = fs.readdirSync(path.join(dir, prefix), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const files = [];
+  for (const entry of entries) {
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...listFiles(dir, rel));
+    } else if (entry.isFile()) {
+      files.push(rel);
+    }
+  }
+  return files;
+}
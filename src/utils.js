@@ -1,7 +1,62 @@
 /**
- * Shared utilities for filename normalization.
+ * Shared utilities for filenames, note links and plain text.
  */
 
+import path from 'node:path';
+
+// Marks index notes and reports as ours, so re-runs may replace them
+export const GENERATED_BY = 'zoho-notebook-to-obsidian';
+
 export function normalizeFilename(filename) {
   return filename.replace(/\u202f/g, ' ').replace(/\u00a0/g, ' ');
 }
+
+/**
+ * First "name N.ext" (N ≥ 2) for which `taken` returns false.
+ */
+export function nextFreeName(filename, taken) {
+  const ext = path.posix.extname(filename);
+  const base = filename.slice(0, filename.length - ext.length);
+  for (let n = 2; ; n++) {
+    const candidate = `${base} ${n}${ext}`;
+    if (!taken(candidate)) return candidate;
+  }
+}
+
+/**
+ * Whether an existing note was generated by an earlier run (its frontmatter
+ * has our `generated-by` marker).
+ */
+export function isGeneratedNote(content) {
+  return new RegExp(`^generated-by: ${GENERATED_BY}$`, 'm').test(content.split('\n---')[0]);
+}
+
+/**
+ * Wikilink to a vault note by its path, shown as `label` or the filename.
+ * "work/Kickoff.md" → "[[work/Kickoff|Kickoff]]"
+ */
+export function noteLink(vaultPath, label) {
+  const name = vaultPath.slice(vaultPath.lastIndexOf('/') + 1).replace(/\.md$/, '');
+  // [[demo.webm]] would open the video, so keep .md when the name has a dot of its own
+  const target = name.includes('.') ? vaultPath : vaultPath.replace(/\.md$/, '');
+  const text = String(label ?? name).replace(/[[\]|]/g, '');
+  return `[[${target}|${text}]]`;
+}
+
+/**
+ * Strip Markdown syntax from a converted line, leaving readable text.
+ */
+export function plainText(line) {
+  return line
+    .replace(/!\[\[[^\]]*\]\]/g, '')                   // Embeds
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')             // External images
+    .replace(/\[\[(?:[^\]|]*\|)?([^\]]*)\]\]/g, '$1') // Wikilinks → display text
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')          // Markdown links → text
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<\/?u>/g, '')
+    .replace(/^\s*(?:>\s*)+/, '')                     // Blockquote markers
+    .replace(/^\s*(?:[-*]|\d+\.)\s+(?:\[[ x]\]\s+)?/, '') // List and checkbox markers
+    .replace(/(\*\*|\*|==|~~|`)/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
@@ -1,9 +1,58 @@
 import fs from 'node:fs';
 import path from 'node:path';
-import { normalizeFilename } from './utils.js';
+import AdmZip from 'adm-zip';
+import { planAttachments, attachmentVaultPath } from './attachments.js';
+import { loadState, saveState, planNoteWrite, conflictPath, hashContent } from './state.js';
+import { colorName, buildColorSnippet, COLOR_SNIPPET_PATH } from './colors.js';
+import { toDate } from './dates.js';
+import { nextFreeName, isGeneratedNote } from './utils.js';
+import { diagnostic } from './diagnostics.js';
+import { resolveGeneratedFiles } from './conflicts.js';
+import { planDailyNotes, mergeDailySection } from './daily-notes.js';
+import { planCanvases, serializeCanvas, canvasPath } from './canvas.js';
+import { planIndexNotes, mocPath, HOME_NOTE } from './moc.js';
+import { REPORT_NOTE } from './report.js';
+import {
+  findUnreferencedFiles, buildUnreferencedIndex, UNREFERENCED_FOLDER, UNREFERENCED_INDEX,
+} from './unreferenced.js';
 
 /**
  * Write converted notes and copy referenced files to the output directory.
+ * Pass the same `options.attachmentPlan` given to convertNote() so copied
+ * files match the embeds; it is computed here when omitted.
+ *
+ * Besides the summary counts, the returned stats carry what happened to each
+ * note (`noteResults`, indexed like `notes`), each copied file
+ * (`attachmentResults`), each attachment that could not be copied
+ * (`missingAttachments`), vault paths that already existed (`existing`) and
+ * export files no note references (`unreferenced`) and folder notes (`folderNotes`).
+ *
+ * With `options.dryRun`, every check runs but nothing is written.
+ * With `options.incremental`, a state file in the output directory is used to
+ * skip unchanged notes, move renamed ones and divert updates to locally edited
+ * files into conflict copies (see state.js).
+ * With `options.keepUnreferenced`, unreferenced export files are copied to
+ * attachments/_unreferenced/ along with an index note, following
+ * `options.onConflict` like the generated files below.
+ * `options.folderNotes` (from planFolderNotes(), each with its `markdown`) are
+ * written next to the notes together with their covers.
+ * When note colors go to `cssclasses` (`options.colors`, default 'frontmatter'),
+ * a CSS snippet tinting them is written to .obsidian/snippets/.
+ * With `options.fileTimes`, written notes get Zoho's modified date as their
+ * access and modification times.
+ * With `options.dailyNotes` ({ folder, format }), each written note is linked
+ * from the daily note of its creation date (see daily-notes.js), recorded in
+ * `dailyNotes`.
+ * With `options.canvas`, each notebook folder gets a `<folder>.canvas` board
+ * of its written notes (see canvas.js), recorded in `canvases`.
+ * With `options.moc` ({ sort }), a map-of-content note per notebook and a
+ * vault home note are written (see moc.js), recorded in `indexNotes`.
+ * With `options.report`, the vault path the caller should write the import
+ * report to is recorded in `report` (null when --on-conflict skip keeps an
+ * existing file).
+ * Folder notes and their covers, canvases, index notes and the CSS snippet
+ * follow `options.onConflict` like notes do: pass `options.generatedFiles` as
+ * resolved by resolveCollisions(), or they are planned and resolved here.
  */
 export function writeOutput(notes, converted, nameMap, dataDir, outputDir, options = {}) {
   const stats = {
@@ -13,26 +62,69 @@ export function writeOutput(notes, converted, nameMap, dataDir, outputDir, optio
     images: 0,
     files: 0,
     audio: 0,
+    audioUnknown: 0,
+    zipsUnwrapped: 0,
+    zipsKept: 0,
     notebooks: new Set(),
+    noteResults: [],
+    attachmentResults: [],
+    missingAttachments: [],
+    existing: [],
+    unreferenced: [],
+    folderNotes: [],
+    dailyNotes: [],
+    canvases: [],
+    indexNotes: [],
+    colorSnippet: null,
+    report: null,
+    incremental: null,
   };
+  const dryRun = Boolean(options.dryRun);
 
-  // Create output and attachments directories
-  const attachmentsDir = path.join(outputDir, 'attachments');
-  fs.mkdirSync(attachmentsDir, { recursive: true });
+  const state = options.incremental ? loadState(outputDir) : null;
+  if (state) {
+    stats.incremental = { create: [], update: [], unchanged: [], move: [], conflict: [] };
+  }
+
+  const attachmentPlan = options.attachmentPlan
+    || planAttachments(notes, dataDir, { unwrapZips: options.unwrapZips, layout: options.attachments, nameMap });
+
+  const plannedNotes = new Set([...nameMap.values()].map(({ folder, filename }) => `${folder}/${filename}`));
+  const conflictPolicy = options.onConflict ?? 'overwrite';
+  let generatedFiles = options.generatedFiles;
+  if (!generatedFiles) {
+    generatedFiles = planGeneratedFiles(notes, nameMap, dataDir, outputDir, { ...options, attachmentPlan });
+    resolveGeneratedFiles(generatedFiles, outputDir, conflictPolicy, plannedNotes);
+  }
+  // Also by destination: folder notes name their cover where --on-conflict put it
+  const generated = new Map(generatedFiles.flatMap(file => [[file.path, file], [file.dest, file]]));
+
+  // Create the output directory; attachment folders are created as files land in them
+  if (!dryRun) fs.mkdirSync(outputDir, { recursive: true });
 
-  const copiedFiles = new Set();
-  const warnedFiles = new Set();
+  // Tracked notes whose name changed are moved before anything is written, so
+  // a note taking over another's old name can't overwrite it (see moveRenamedNotes)
+  const owners = state ? trackedFiles(state, outputDir) : null;
+  const moves = state ? moveRenamedNotes(notes, converted, nameMap, state, owners, outputDir, options) : new Map();
+
+  // The plan already deduplicated by content, so one vault path means one file
+  const copiedFiles = new Map(); // vault path → entry in stats.attachmentResults
+  const warnedFiles = new Map(); // resolved source path → warning message
 
   for (let i = 0; i < notes.length; i++) {
     const note = notes[i];
     const { markdown, body } = converted[i];
-    const { folder, filename } = nameMap.get(i);
+    const { folder, filename, skip } = nameMap.get(i);
+    const result = { path: null, skipped: null, action: null, attachments: [], warnings: [] };
+    stats.noteResults.push(result);
+    const where = { noteId: note.noteId, source: note.sourceFile };
 
     stats.notebooks.add(folder);
 
     // Skip empty notes if requested
     if (options.skipEmpty && !body.trim()) {
       stats.empty++;
+      result.skipped = 'empty';
       if (options.verbose) {
         console.log(`  SKIP (empty): ${note.title}`);
       }
@@ -45,19 +137,74 @@ export function writeOutput(notes, converted, nameMap, dataDir, outputDir, optio
     }
     if (body.includes('Video content was not included')) {
       stats.videoLost++;
+      result.warnings.push('Video content was not included in the export');
+      diagnostic('VIDEO_NOT_EXPORTED', 'Video content was not included in the export', where);
+    }
+
+    // Collision policy chose to keep the vault's existing file
+    if (skip) {
+      result.skipped = 'exists';
+      continue;
     }
 
     // Create notebook folder (with path traversal guard)
     const folderPath = path.join(outputDir, folder);
     if (!path.resolve(folderPath).startsWith(path.resolve(outputDir) + path.sep)) {
-      console.warn(`  SKIP: notebook folder "${folder}" would escape output directory`);
+      diagnostic('UNSAFE_PATH', `Skipping note: notebook folder "${folder}" would escape output directory`, where);
+      result.skipped = 'unsafe-folder';
       continue;
     }
-    fs.mkdirSync(folderPath, { recursive: true });
-
     // Write markdown file
     const filePath = path.join(folderPath, filename);
-    fs.writeFileSync(filePath, markdown, 'utf-8');
+    result.path = `${folder}/${filename}`;
+    const prev = state?.notes[note.noteId];
+    if (!prev && fs.existsSync(filePath)) stats.existing.push(result.path);
+
+    if (state) {
+      const moved = moves.get(note.noteId);
+      if (moved) {
+        result.path = moved.to;
+      } else if (owners.has(result.path) && owners.get(result.path) !== note.noteId) {
+        // Still holds the file of a note that was skipped or left the export
+        const taken = result.path;
+        result.path = freeNotePath(taken, owners, nameMap, outputDir);
+        diagnostic('NOTE_PATH_TAKEN', `${taken} belongs to another imported note; writing to ${result.path}`, where);
+      }
+      owners.set(result.path, note.noteId);
+
+      let planned;
+      if (moved && !dryRun) {
+        // The file is already at its new path: plan as if it had always been there
+        planned = planNoteWrite({ ...prev, path: moved.to }, note, moved.to, markdown, outputDir);
+        planned = { ...planned, action: planned.action === 'unchanged' ? 'move' : planned.action, moveFrom: moved.from };
+      } else {
+        planned = planNoteWrite(prev, note, result.path, markdown, outputDir);
+      }
+      result.action = planned.action;
+      const written = applyNoteWrite(outputDir, result.path, markdown, planned, dryRun);
+      stats.incremental[planned.action].push(written);
+      if (options.fileTimes && !dryRun) {
+        const notePath = path.join(outputDir, result.path);
+        if (planned.action === 'create' || planned.action === 'update') setFileTimes(notePath, note);
+        if (written.conflictPath) setFileTimes(path.join(outputDir, written.conflictPath), note);
+      }
+      state.notes[note.noteId] = {
+        modifiedDate: note.modifiedDate || null,
+        path: result.path,
+        hash: planned.action === 'create' || planned.action === 'update' ? planned.hash : prev.hash,
+        importedHash: planned.hash,
+      };
+      // Deleted from the vault since an earlier run and unchanged in Zoho:
+      // stays deleted, and canvases, index and daily notes don't link to it
+      if (planned.action === 'unchanged' && !fs.existsSync(path.join(outputDir, result.path))) {
+        result.skipped = 'deleted';
+        result.path = null;
+      }
+    } else if (!dryRun) {
+      fs.mkdirSync(folderPath, { recursive: true });
+      fs.writeFileSync(filePath, markdown, 'utf-8');
+      if (options.fileTimes) setFileTimes(filePath, note);
+    }
 
     if (options.verbose) {
       console.log(`  ${folder}/${filename}`);
@@ -66,37 +213,228 @@ export function writeOutput(notes, converted, nameMap, dataDir, outputDir, optio
     // Source dir for this note's attachments (Znote: per-note dir, HTML: shared dataDir)
     const srcDir = note.attachmentDir || dataDir;
 
-    // Copy referenced images
-    for (const img of note.images) {
-      if (copiedFiles.has(img) || warnedFiles.has(img)) continue;
-      if (safeCopy(srcDir, img, attachmentsDir, normalizeFilename(img))) {
-        copiedFiles.add(img);
+    // Copy referenced images and attachments under their planned names
+    for (const [ref, planned] of attachmentPlan.get(i)) {
+      const { folder: attachmentFolder, dest, src, kind, audioFormat, unwrapEntry, zipKept, skip: keepExisting } = planned;
+      if (keepExisting) continue;
+      const sourceKey = path.resolve(srcDir, ref);
+      const vaultPath = attachmentVaultPath(planned);
+      if (src && copiedFiles.has(vaultPath)) {
+        const copied = copiedFiles.get(vaultPath);
+        copied.noteIndices.push(i);
+        result.attachments.push(copied.path);
+        continue;
+      }
+      if (warnedFiles.has(sourceKey)) {
+        const warning = warnedFiles.get(sourceKey);
+        result.warnings.push(warning);
+        diagnostic('ATTACHMENT_MISSING', warning, where);
+        stats.missingAttachments.push({ source: ref, noteIndex: i, reason: warning });
+        continue;
+      }
+
+      const attachmentsDir = path.join(outputDir, attachmentFolder);
+      const destExisted = fs.existsSync(path.join(attachmentsDir, dest));
+      const warning = path.resolve(attachmentsDir).startsWith(path.resolve(outputDir) + path.sep)
+        ? safeCopy(srcDir, ref, attachmentsDir, dest, unwrapEntry, dryRun)
+        : `Skipping attachment folder outside output directory: ${attachmentFolder}`;
+      if (warning) {
+        diagnostic('ATTACHMENT_MISSING', warning, where);
+        warnedFiles.set(sourceKey, warning);
+        result.warnings.push(warning);
+        stats.missingAttachments.push({ source: ref, noteIndex: i, reason: warning });
+        continue;
+      }
+      if (destExisted) stats.existing.push(vaultPath);
+
+      const copied = {
+        source: ref,
+        container: note.attachmentDir ? note.sourceFile : null,
+        path: vaultPath,
+        kind,
+        noteIndices: [i],
+      };
+      copiedFiles.set(vaultPath, copied);
+      stats.attachmentResults.push(copied);
+      result.attachments.push(copied.path);
+
+      if (unwrapEntry) stats.zipsUnwrapped++;
+      if (zipKept) stats.zipsKept++;
+      if (kind === 'image') {
         stats.images++;
+      } else if (kind === 'audio') {
+        stats.audio++;
+        if (!audioFormat) {
+          stats.audioUnknown++;
+          result.warnings.push(`Audio format not recognized: ${ref}`);
+          diagnostic('AUDIO_FORMAT_UNKNOWN', `Audio format not recognized: ${ref}`, where);
+        }
       } else {
-        warnedFiles.add(img);
+        stats.files++;
       }
     }
+  }
 
-    // Copy referenced attachments
-    for (const att of note.attachments) {
-      if (copiedFiles.has(att) || warnedFiles.has(att)) continue;
-      const destName = normalizeFilename(att);
-      if (safeCopy(srcDir, att, attachmentsDir, destName)) {
-        copiedFiles.add(att);
-        const ext = path.extname(destName);
-        if (!ext) {
-          stats.audio++;
-        } else {
-          stats.files++;
-        }
+  // A planned generated file, resolved alone if planning didn't foresee it
+  const generatedFile = vaultPath => {
+    if (!generated.has(vaultPath)) {
+      const file = { path: vaultPath };
+      resolveGeneratedFiles([file], outputDir, conflictPolicy, plannedNotes);
+      generated.set(vaultPath, file);
+    }
+    return generated.get(vaultPath);
+  };
+  const writeGenerated = (file, content) => {
+    if (file.overwrite) stats.existing.push(file.dest);
+    if (dryRun) return;
+    const filePath = path.join(outputDir, file.dest);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content, 'utf-8');
+    if (state) {
+      state.generated ??= {};
+      state.generated[file.dest] = hashContent(content);
+    }
+  };
+
+  // Folder notes, unless a note already has that name
+  const coverSources = [];
+  for (const folderNote of options.folderNotes || []) {
+    const vaultPath = `${folderNote.folder}/${folderNote.filename}`;
+    const record = { folder: folderNote.folder, path: null, cover: null, skipped: null };
+    stats.folderNotes.push(record);
+    if (folderNote.cover) coverSources.push(path.resolve(folderNote.cover.root, folderNote.cover.source));
+
+    if (plannedNotes.has(vaultPath)) {
+      record.skipped = 'note-exists';
+      continue;
+    }
+    const file = generatedFile(vaultPath);
+    if (file.skip) {
+      record.skipped = 'exists';
+      continue;
+    }
+
+    const cover = folderNote.cover && generatedFile(folderNote.cover.path);
+    if (cover && !cover.skip) {
+      const { root, source } = folderNote.cover;
+      const warning = safeCopy(root, source, outputDir, cover.dest, null, dryRun);
+      if (warning) {
+        diagnostic('COVER_MISSING', warning, { source });
       } else {
-        warnedFiles.add(att);
+        if (cover.overwrite) stats.existing.push(cover.dest);
+        record.cover = cover.dest;
+      }
+    }
+    writeGenerated(file, folderNote.markdown);
+    if (options.fileTimes && !dryRun) setFileTimes(path.join(outputDir, file.dest), folderNote);
+    record.path = file.dest;
+  }
+
+  // A canvas per notebook laying out its cards, like Zoho's grid
+  if (options.canvas) {
+    for (const { folder, path: vaultPath, canvas } of planCanvases(notes, converted, stats.noteResults, options)) {
+      const record = { folder, path: null, cards: canvas.nodes.length, skipped: null };
+      stats.canvases.push(record);
+      const file = generatedFile(vaultPath);
+      if (file.skip) {
+        record.skipped = 'exists';
+        continue;
+      }
+      writeGenerated(file, serializeCanvas(canvas));
+      record.path = file.dest;
+    }
+  }
+
+  // Map-of-content notes per notebook and the vault home note
+  if (options.moc) {
+    const planned = planIndexNotes(notes, converted, stats.noteResults, { ...options.moc, timezone: options.timezone });
+    for (const { path: vaultPath, markdown } of planned) {
+      const record = { path: null, skipped: null };
+      stats.indexNotes.push(record);
+      if (plannedNotes.has(vaultPath)) {
+        record.skipped = 'note-exists';
+        continue;
+      }
+      const file = generatedFile(vaultPath);
+      if (file.skip) {
+        record.skipped = 'exists';
+        continue;
+      }
+      writeGenerated(file, markdown);
+      record.path = file.dest;
+    }
+  }
+
+  // "Imported from Zoho" sections in the daily note of each creation date
+  if (options.dailyNotes) {
+    const planned = planDailyNotes(notes, stats.noteResults, { ...options.dailyNotes, timezone: options.timezone });
+    for (const { path: vaultPath, links } of planned) {
+      const record = { path: vaultPath, links, action: null };
+      stats.dailyNotes.push(record);
+      const filePath = path.join(outputDir, vaultPath);
+      if (!path.resolve(filePath).startsWith(path.resolve(outputDir) + path.sep)) {
+        diagnostic('UNSAFE_PATH', `Skipping daily note "${vaultPath}": it would escape output directory`);
+        record.action = 'unsafe-path';
+        continue;
+      }
+
+      const existing = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null;
+      const content = mergeDailySection(existing, links);
+      record.action = existing === null ? 'create' : content === existing ? 'unchanged' : 'update';
+      if (!dryRun && content !== existing) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content, 'utf-8');
       }
     }
   }
 
+  // CSS snippet for the color classes in note frontmatter
+  if (usesColorClasses(notes, options)) {
+    const file = generatedFile(COLOR_SNIPPET_PATH);
+    if (!file.skip) {
+      writeGenerated(file, buildColorSnippet());
+      stats.colorSnippet = file.dest;
+    }
+  }
+
+  // The --report note is written by the caller once the run is done; record where it goes
+  const report = generatedFiles.find(file => file.kind === 'report');
+  if (report && !report.skip) {
+    if (report.overwrite) stats.existing.push(report.dest);
+    stats.report = report.dest;
+  }
+
+  // Export files no note references: report them, and keep them if asked
+  const keptUnreferenced = [];
+  for (const file of findUnreferencedFiles(notes, dataDir, attachmentPlan, coverSources)) {
+    const record = { source: file.source, container: file.container, path: null };
+    stats.unreferenced.push(record);
+    if (!options.keepUnreferenced) continue;
+
+    const planned = generatedFile(`${UNREFERENCED_FOLDER}/${file.dest}`);
+    if (planned.skip) continue;
+    const dest = planned.dest.slice(UNREFERENCED_FOLDER.length + 1);
+    const warning = safeCopy(file.root, file.source, path.join(outputDir, UNREFERENCED_FOLDER), dest, null, dryRun);
+    if (warning) {
+      diagnostic('UNREFERENCED_COPY_FAILED', warning, { source: file.source });
+      continue;
+    }
+    if (planned.overwrite) stats.existing.push(planned.dest);
+    record.path = planned.dest;
+    keptUnreferenced.push({ ...file, dest });
+  }
+  if (keptUnreferenced.length > 0) {
+    const index = generatedFile(`${UNREFERENCED_FOLDER}/${UNREFERENCED_INDEX}`);
+    if (!index.skip) writeGenerated(index, buildUnreferencedIndex(keptUnreferenced));
+  }
+  if (options.verbose) {
+    for (const { source, container } of stats.unreferenced) {
+      console.log(`  UNREFERENCED: ${container ? `${container}: ${source}` : source}`);
+    }
+  }
+
   // Print summary
-  const parts = [`Converted ${stats.total} notes`];
+  const parts = [`${dryRun ? 'Would convert' : 'Converted'} ${stats.total} notes`];
   if (stats.empty > 0) parts.push(`${stats.empty} empty`);
   if (stats.videoLost > 0) parts.push(`${stats.videoLost} video lost`);
   parts.push(`across ${stats.notebooks.size} notebooks`);
@@ -104,14 +442,60 @@ export function writeOutput(notes, converted, nameMap, dataDir, outputDir, optio
   const fileParts = [];
   if (stats.images > 0) fileParts.push(`${stats.images} images`);
   if (stats.files > 0) fileParts.push(`${stats.files} files`);
-  if (stats.audio > 0) fileParts.push(`${stats.audio} audio`);
+  if (stats.audio > 0) {
+    fileParts.push(stats.audioUnknown > 0
+      ? `${stats.audio} audio (${stats.audioUnknown} of unknown format)`
+      : `${stats.audio} audio`);
+  }
 
   let summary = parts.join(', ') + '.';
   if (fileParts.length > 0) {
-    summary += ' ' + fileParts.join(', ') + ' copied.';
+    summary += ' ' + fileParts.join(', ') + (dryRun ? ' to copy.' : ' copied.');
+  }
+  const folderNotesWritten = stats.folderNotes.filter(f => f.path).length;
+  if (folderNotesWritten > 0) {
+    summary += ` ${folderNotesWritten} folder notes${dryRun ? ' to write' : ' written'}.`;
+  }
+  const canvasesWritten = stats.canvases.filter(c => c.path).length;
+  if (canvasesWritten > 0) {
+    summary += ` ${canvasesWritten} canvases${dryRun ? ' to write' : ' written'}.`;
+  }
+  const indexNotesWritten = stats.indexNotes.filter(n => n.path).length;
+  if (indexNotesWritten > 0) {
+    summary += ` ${indexNotesWritten} index notes${dryRun ? ' to write' : ' written'}.`;
+  }
+  const dailyChanged = stats.dailyNotes.filter(d => d.action === 'create' || d.action === 'update');
+  if (dailyChanged.length > 0) {
+    const created = dailyChanged.filter(d => d.action === 'create').length;
+    summary += ` ${dailyChanged.length} daily notes ${dryRun ? 'to link' : 'linked'} (${created} new).`;
+  }
+  if (stats.zipsUnwrapped > 0 || stats.zipsKept > 0) {
+    summary += ` ${stats.zipsUnwrapped} zip wrappers unwrapped, ${stats.zipsKept} kept as .zip.`;
+  }
+
+  if (stats.unreferenced.length > 0) {
+    summary += ` ${stats.unreferenced.length} export files not referenced by any note`;
+    if (keptUnreferenced.length > 0) {
+      summary += `, ${keptUnreferenced.length} ${dryRun ? 'to copy' : 'copied'} to ${UNREFERENCED_FOLDER}/.`;
+    } else {
+      summary += options.keepUnreferenced ? '.' : ' (use --keep-unreferenced to copy them).';
+    }
   }
 
   console.log(summary);
+  if (stats.colorSnippet && !dryRun) {
+    console.log(`Note colors: enable the "${path.posix.basename(stats.colorSnippet, '.css')}" CSS snippet in Settings → Appearance to tint notes.`);
+  }
+
+  if (stats.incremental) {
+    const inc = stats.incremental;
+    console.log(`Incremental: ${inc.create.length} new, ${inc.update.length} updated, `
+      + `${inc.unchanged.length} unchanged, ${inc.move.length} moved, ${inc.conflict.length} conflicts.`);
+    for (const { path: notePath, conflictPath: copyPath } of inc.conflict) {
+      console.log(`  CONFLICT: ${notePath} was edited locally; Zoho version saved to ${copyPath}`);
+    }
+    if (!dryRun) saveState(outputDir, state);
+  }
 
   // Warn about shared notes limitation (both formats)
   console.log('\nNote: Zoho Notebook exports do not include notes shared with you by others.');
@@ -120,34 +504,231 @@ export function writeOutput(notes, converted, nameMap, dataDir, outputDir, optio
   return stats;
 }
 
-function safeCopy(srcBase, filename, destBase, destFilename) {
+/**
+ * The files besides notes and attachments that a run may add to the vault:
+ * folder notes and their covers, canvases, index notes, the CSS snippet and kept unreferenced
+ * files with their index from writeOutput(), and the --report note. Pass them
+ * to resolveCollisions() before writing. Canvases and index notes are planned
+ * for every notebook folder, since which notes get written is only known once
+ * writing is done.
+ *
+ * Index notes and reports from earlier runs (marked `generated-by`), the
+ * unchanged CSS snippet and identical covers and copies of unreferenced files are
+ * `replaceable`; with `options.incremental`, so is any of these files left
+ * unedited since the run that wrote it.
+ * @param {object} options - as for writeOutput(), with `attachmentPlan`, plus `report`
+ * @returns {{ kind: string, path: string, replaceable: (content: Buffer) => boolean }[]}
+ */
+export function planGeneratedFiles(notes, nameMap, dataDir, outputDir, options = {}) {
+  const written = options.incremental ? loadState(outputDir).generated ?? {} : {};
+  const files = [];
+  const add = (kind, vaultPath, ours = () => false) => {
+    if (files.some(file => file.path === vaultPath)) return;
+    files.push({
+      kind,
+      path: vaultPath,
+      replaceable: content => ours(content) || written[vaultPath] === hashContent(content),
+    });
+  };
+  const generatedNote = content => isGeneratedNote(content.toString('utf-8'));
+
+  for (const folderNote of options.folderNotes || []) {
+    add('folder-note', `${folderNote.folder}/${folderNote.filename}`);
+    const { cover } = folderNote;
+    if (cover) add('cover', cover.path, content => sameFile(content, path.resolve(cover.root, cover.source)));
+  }
+  const notebooks = new Map(); // folder → notebook name
+  for (let i = 0; i < notes.length; i++) {
+    const { folder } = nameMap.get(i);
+    if (!notebooks.has(folder)) notebooks.set(folder, notes[i].notebook);
+  }
+  if (options.canvas) {
+    for (const folder of notebooks.keys()) add('canvas', canvasPath(folder));
+  }
+  if (options.moc) {
+    for (const [folder, name] of notebooks) add('index-note', mocPath(folder, name), generatedNote);
+    add('index-note', HOME_NOTE, generatedNote);
+  }
+  if (usesColorClasses(notes, options)) {
+    add('color-snippet', COLOR_SNIPPET_PATH, content => content.toString('utf-8') === buildColorSnippet());
+  }
+  if (options.keepUnreferenced) {
+    const coverSources = (options.folderNotes || [])
+      .filter(folderNote => folderNote.cover)
+      .map(({ cover }) => path.resolve(cover.root, cover.source));
+    const unreferenced = findUnreferencedFiles(notes, dataDir, options.attachmentPlan, coverSources);
+    for (const file of unreferenced) {
+      add('unreferenced', `${UNREFERENCED_FOLDER}/${file.dest}`, content => sameFile(content, path.resolve(file.root, file.source)));
+    }
+    if (unreferenced.length > 0) add('unreferenced-index', `${UNREFERENCED_FOLDER}/${UNREFERENCED_INDEX}`, generatedNote);
+  }
+  if (options.report) add('report', REPORT_NOTE, generatedNote);
+  return files;
+}
+
+function sameFile(content, filePath) {
+  try {
+    return content.equals(fs.readFileSync(filePath));
+  } catch {
+    return false;
+  }
+}
+
+function usesColorClasses(notes, options) {
+  return (options.colors ?? 'frontmatter') === 'frontmatter' && notes.some(note => colorName(note.color));
+}
+
+/**
+ * Set a written file's atime and mtime from its Zoho modified (or created) date.
+ */
+function setFileTimes(filePath, { modifiedDate, createdDate }) {
+  const date = toDate(modifiedDate || createdDate);
+  if (date) fs.utimesSync(filePath, date, date);
+}
+
+/**
+ * Vault path → noteId for the files an earlier incremental run wrote that are
+ * still there.
+ */
+function trackedFiles(state, outputDir) {
+  const owners = new Map();
+  for (const [noteId, entry] of Object.entries(state.notes)) {
+    if (fs.existsSync(path.join(outputDir, entry.path))) owners.set(entry.path, noteId);
+  }
+  return owners;
+}
+
+/**
+ * Move the files of tracked notes whose vault path changed (renamed in Zoho,
+ * or renumbered because another note now has the same title) to their new
+ * paths, before any note is written. A move waits until the note holding its
+ * destination has moved away; notes that traded names go through a temporary
+ * name. A destination still held by a note that isn't moving gets a free name.
+ * `owners` is updated as files move; with `options.dryRun` nothing is moved.
+ * @returns {Map<string, { from: string, to: string }>} by noteId
+ */
+function moveRenamedNotes(notes, converted, nameMap, state, owners, outputDir, options) {
+  const pending = new Map(); // current vault path → { noteId, from, to }
+  for (let i = 0; i < notes.length; i++) {
+    const { noteId } = notes[i];
+    const prev = state.notes[noteId];
+    const { folder, filename, skip } = nameMap.get(i);
+    const to = `${folder}/${filename}`;
+    if (!prev || prev.path === to || owners.get(prev.path) !== noteId) continue;
+    // Same conditions under which writeOutput() leaves a note alone
+    if (skip || (options.skipEmpty && !converted[i].body.trim())) continue;
+    if (!path.resolve(outputDir, folder).startsWith(path.resolve(outputDir) + path.sep)) continue;
+    pending.set(prev.path, { noteId, from: prev.path, to });
+  }
+
+  const moves = new Map();
+  const move = (current, to, noteId) => {
+    if (!options.dryRun) {
+      fs.mkdirSync(path.dirname(path.join(outputDir, to)), { recursive: true });
+      fs.renameSync(path.join(outputDir, current), path.join(outputDir, to));
+    }
+    owners.delete(current);
+    owners.set(to, noteId);
+    pending.delete(current);
+  };
+
+  while (pending.size > 0) {
+    const ready = [...pending].find(([, entry]) => !pending.has(entry.to));
+    if (!ready) {
+      const [current, entry] = pending.entries().next().value;
+      const temp = freeNotePath(current, owners, nameMap, outputDir);
+      move(current, temp, entry.noteId);
+      pending.set(temp, entry);
+      continue;
+    }
+    const [current, entry] = ready;
+    let to = entry.to;
+    if (owners.has(to) && owners.get(to) !== entry.noteId) {
+      to = freeNotePath(to, owners, nameMap, outputDir);
+      diagnostic('NOTE_PATH_TAKEN', `${entry.to} belongs to another imported note; moving ${entry.from} to ${to}`,
+        { noteId: entry.noteId, source: entry.from });
+    }
+    move(current, to, entry.noteId);
+    moves.set(entry.noteId, { from: entry.from, to });
+  }
+  return moves;
+}
+
+/**
+ * A free name next to `vaultPath`, avoiding tracked files, files on disk and
+ * every path planned for this run's notes.
+ */
+function freeNotePath(vaultPath, owners, nameMap, outputDir) {
+  const folder = path.posix.dirname(vaultPath);
+  const planned = new Set([...nameMap.values()].map(entry => `${entry.folder}/${entry.filename}`));
+  const filename = nextFreeName(path.posix.basename(vaultPath), name => {
+    const candidate = `${folder}/${name}`;
+    return owners.has(candidate) || planned.has(candidate) || fs.existsSync(path.join(outputDir, candidate));
+  });
+  return `${folder}/${filename}`;
+}
+
+/**
+ * Carry out an incremental write decided by planNoteWrite().
+ * Returns { path, from, conflictPath } describing what was (or would be) done.
+ */
+function applyNoteWrite(outputDir, vaultPath, markdown, planned, dryRun) {
+  const { action, moveFrom } = planned;
+  const target = path.join(outputDir, vaultPath);
+  const written = { path: vaultPath, from: moveFrom, conflictPath: null };
+
+  if (action === 'conflict') written.conflictPath = conflictPath(vaultPath);
+  // Moves were already done by moveRenamedNotes()
+  if (dryRun) return written;
+
+  if (action === 'create' || action === 'update') {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, markdown, 'utf-8');
+  } else if (action === 'conflict') {
+    fs.writeFileSync(path.join(outputDir, written.conflictPath), markdown, 'utf-8');
+  }
+  return written;
+}
+
+/**
+ * Copy a file from the export into the vault, refusing anything that escapes
+ * either directory or is a symlink. With `zipEntryName`, the source is a zip
+ * wrapper and only that entry's contents are written to the destination.
+ * Returns null on success, or a warning message describing why it was skipped.
+ * With `dryRun`, all checks run but nothing is copied.
+ */
+function safeCopy(srcBase, filename, destBase, destFilename, zipEntryName = null, dryRun = false) {
   const src = path.resolve(srcBase, filename);
   const dest = path.resolve(destBase, destFilename);
   if (!src.startsWith(path.resolve(srcBase) + path.sep)) {
-    console.warn(`  WARN: Skipping file outside source directory: ${filename}`);
-    return false;
+    return `Skipping file outside source directory: ${filename}`;
   }
   if (!dest.startsWith(path.resolve(destBase) + path.sep)) {
-    console.warn(`  WARN: Skipping file outside attachments directory: ${destFilename}`);
-    return false;
+    return `Skipping file outside attachments directory: ${destFilename}`;
   }
   // Reject symlinks: path.resolve doesn't follow them, but copyFileSync does
   try {
     if (fs.lstatSync(src).isSymbolicLink()) {
-      console.warn(`  WARN: Skipping symlink: ${filename}`);
-      return false;
+      return `Skipping symlink: ${filename}`;
     }
   } catch (err) {
     if (err.code !== 'ENOENT') {
-      console.warn(`  WARN: Could not stat ${filename}: ${err.code}`);
-      return false;
+      return `Could not stat ${filename}: ${err.code}`;
     }
   }
   if (fs.existsSync(src)) {
+    if (dryRun) return null;
     fs.mkdirSync(path.dirname(dest), { recursive: true });
-    fs.copyFileSync(src, dest);
-    return true;
+    if (zipEntryName) {
+      const data = new AdmZip(src).readFile(zipEntryName);
+      if (!data) {
+        return `Could not extract ${zipEntryName} from ${filename}`;
+      }
+      fs.writeFileSync(dest, data);
+    } else {
+      fs.copyFileSync(src, dest);
+    }
+    return null;
   }
-  console.warn(`  WARN: File not found: ${filename}`);
-  return false;
+  return `File not found: ${filename}`;
 }
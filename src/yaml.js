@@ -0,0 +1,103 @@
+/**
+ * Emit YAML frontmatter.
+ * Strings are double-quoted and escaped unless wrapped with plain(), which is
+ * for values known to read back as themselves (dates, tags, fixed tokens) and
+ * still falls back to quoting when they wouldn't.
+ */
+
+const PLAIN_SCALAR = /^[\p{L}\p{N}_][\p{L}\p{M}\p{N}_:./+-]*$/u;
+const YAML_KEYWORD = /^(true|false|yes|no|on|off|y|n|null|~)$/i;
+const YAML_NUMBER = /^[-+]?(\.?\d[\d_]*)(\.\d*)?(e[-+]?\d+)?$|^0x[0-9a-f]+$|^0o[0-7]+$|^[-+]?\.(inf|nan)$/i;
+
+class PlainScalar {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+/**
+ * Mark a string to be written unquoted when that's safe.
+ */
+export function plain(text) {
+  return new PlainScalar(String(text));
+}
+
+/**
+ * Frontmatter block ('---' lines included) from an ordered list of
+ * [key, value] pairs. Values may be strings, plain() strings, numbers,
+ * booleans, arrays and plain objects; null and undefined values are skipped.
+ * @param {Array<[string, *]>} properties
+ * @param {object} [options]
+ * @param {Set<string>} [options.inline] - keys whose lists are written inline (`[a, b]`)
+ */
+export function emitFrontmatter(properties, options = {}) {
+  const inline = options.inline ?? new Set();
+  const lines = ['---'];
+  for (const [key, value] of properties) {
+    if (value === null || value === undefined) continue;
+    lines.push(...emitProperty(key, value, 0, inline.has(key)));
+  }
+  lines.push('---');
+  return lines.join('\n');
+}
+
+export function escapeYaml(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\x00/g, '')                        // Strip null bytes
+    .replace(/[\x01-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '') // Strip C0 controls
+    .replace(/[\x80-\x84\x86-\x9F]/g, '')             // Strip C1 controls (skip \x85, handled below)
+    .replace(/\u0085/g, '\\n')                    // Next Line → escaped newline
+    .replace(/\u2028/g, '\\n')                    // Line Separator → escaped newline
+    .replace(/\u2029/g, '\\n')                    // Paragraph Separator → escaped newline
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r');
+}
+
+function emitProperty(key, value, depth, inline) {
+  const pad = '  '.repeat(depth);
+  const yamlKey = /^[A-Za-z0-9_-]+$/.test(key) ? key : quote(key);
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return [`${pad}${yamlKey}: []`];
+    if (inline && value.every(isScalar)) return [`${pad}${yamlKey}: [${value.map(scalar).join(', ')}]`];
+    return [`${pad}${yamlKey}:`, ...value.flatMap(item => emitListItem(item, depth + 1))];
+  }
+  if (isMapping(value)) {
+    const nested = Object.entries(value).flatMap(([k, v]) => emitProperty(k, v, depth + 1, false));
+    return nested.length > 0 ? [`${pad}${yamlKey}:`, ...nested] : [`${pad}${yamlKey}: {}`];
+  }
+  return [`${pad}${yamlKey}: ${scalar(value)}`];
+}
+
+function emitListItem(item, depth) {
+  const pad = '  '.repeat(depth);
+  if (!isMapping(item) && !Array.isArray(item)) return [`${pad}- ${scalar(item)}`];
+  if (Array.isArray(item)) return [`${pad}- [${item.map(scalar).join(', ')}]`];
+  const nested = Object.entries(item).flatMap(([k, v]) => emitProperty(k, v, depth + 1, false));
+  if (nested.length === 0) return [`${pad}- {}`];
+  return [`${pad}- ${nested[0].trimStart()}`, ...nested.slice(1)];
+}
+
+function scalar(value) {
+  if (value instanceof PlainScalar) {
+    const { text } = value;
+    return PLAIN_SCALAR.test(text) && !YAML_KEYWORD.test(text) && !YAML_NUMBER.test(text) ? text : quote(text);
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+  if (typeof value === 'boolean') return String(value);
+  return quote(String(value ?? ''));
+}
+
+function quote(text) {
+  return `"${escapeYaml(text.replace(/\u202f/g, ' ').replace(/\u00a0/g, ' '))}"`;
+}
+
+function isScalar(value) {
+  return !Array.isArray(value) && !isMapping(value);
+}
+
+function isMapping(value) {
+  return value !== null && typeof value === 'object' && !(value instanceof PlainScalar);
+}
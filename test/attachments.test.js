@@ -0,0 +1,300 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import AdmZip from 'adm-zip';
+import * as cheerio from 'cheerio';
+import { parseNote } from '../src/parse-note.js';
+import { convertNote } from '../src/convert.js';
+import { writeOutput } from '../src/writer.js';
+import { buildNameMap } from '../src/names.js';
+import { planAttachments, parseAttachmentLayout } from '../src/attachments.js';
+import { detectAudioFormat } from '../src/audio.js';
+
+const fixturesDir = path.join(import.meta.dirname, 'fixtures');
+
+// Minimal file headers for each supported audio container
+const AUDIO_HEADERS = {
+  m4a: Buffer.concat([Buffer.from([0, 0, 0, 0x20]), Buffer.from('ftypM4A \0\0\0\0isom', 'latin1')]),
+  '3gp': Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftyp3gp4\0\0\0\0', 'latin1')]),
+  webm: Buffer.concat([Buffer.from([0x1A, 0x45, 0xDF, 0xA3, 0x9F, 0x42, 0x82, 0x84]), Buffer.from('webm', 'latin1')]),
+  mka: Buffer.concat([Buffer.from([0x1A, 0x45, 0xDF, 0xA3, 0xA3, 0x42, 0x82, 0x88]), Buffer.from('matroska', 'latin1')]),
+  ogg: Buffer.from('OggS\0\x02\0\0', 'latin1'),
+  wav: Buffer.from('RIFF\x24\0\0\0WAVEfmt ', 'latin1'),
+  amr: Buffer.from('#!AMR\n\x3c', 'latin1'),
+  mp3: Buffer.from('ID3\x04\0\0\0\0\0\0', 'latin1'),
+};
+
+describe('detectAudioFormat', () => {
+  for (const [ext, header] of Object.entries(AUDIO_HEADERS)) {
+    it(`detects ${ext}`, () => {
+      assert.equal(detectAudioFormat(header), ext);
+    });
+  }
+
+  it('detects bare MPEG frame sync as mp3', () => {
+    assert.equal(detectAudioFormat(Buffer.from([0xFF, 0xFB, 0x90, 0x64])), 'mp3');
+  });
+
+  it('does not mistake AAC ADTS for mp3', () => {
+    assert.equal(detectAudioFormat(Buffer.from([0xFF, 0xF1, 0x50, 0x80])), null);
+  });
+
+  it('returns null for unknown or short input', () => {
+    assert.equal(detectAudioFormat(Buffer.from('hello world')), null);
+    assert.equal(detectAudioFormat(Buffer.from([0xFF])), null);
+  });
+});
+
+describe('audio card extension detection', () => {
+  let tmpDir;
+  let note;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zoho-test-audio-'));
+    note = parseNote(path.join(fixturesDir, 'audio-card.html'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('renames detected audio and drops the rename warning', () => {
+    const srcDir = path.join(tmpDir, 'detected');
+    fs.mkdirSync(srcDir);
+    fs.writeFileSync(path.join(srcDir, 'gsgjkaudio012'), AUDIO_HEADERS.m4a);
+
+    const plan = planAttachments([note], srcDir);
+    const { body, markdown } = convertNote(note, new Map(), { attachments: plan.get(0) });
+    assert.equal(body, 'Attached audio: ![[attachments/gsgjkaudio012.m4a]]\n');
+
+    const outputDir = path.join(tmpDir, 'detected-out');
+    const converted = [{ markdown, body }];
+    const stats = writeOutput([note], converted, buildNameMap([note]), srcDir, outputDir,
+      { attachmentPlan: plan });
+    assert.ok(fs.existsSync(path.join(outputDir, 'attachments', 'gsgjkaudio012.m4a')));
+    assert.equal(stats.audio, 1);
+    assert.equal(stats.audioUnknown, 0);
+  });
+
+  it('keeps the warning when the format cannot be identified', () => {
+    const srcDir = path.join(tmpDir, 'unknown');
+    fs.mkdirSync(srcDir);
+    fs.writeFileSync(path.join(srcDir, 'gsgjkaudio012'), 'not audio');
+
+    const plan = planAttachments([note], srcDir);
+    const { body } = convertNote(note, new Map(), { attachments: plan.get(0) });
+    assert.ok(body.includes('![[attachments/gsgjkaudio012]]'), `Got: ${body}`);
+    assert.ok(body.includes('Audio file exported without extension'), `Got: ${body}`);
+  });
+
+  it('does not sniff through symlinks', () => {
+    const srcDir = path.join(tmpDir, 'symlink');
+    fs.mkdirSync(srcDir);
+    const outside = path.join(tmpDir, 'outside-audio');
+    fs.writeFileSync(outside, AUDIO_HEADERS.ogg);
+    fs.symlinkSync(outside, path.join(srcDir, 'gsgjkaudio012'));
+
+    const plan = planAttachments([note], srcDir);
+    assert.equal(plan.get(0).get('gsgjkaudio012').dest, 'gsgjkaudio012');
+  });
+});
+
+describe('zip wrapper unwrapping (--unwrap-zips)', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zoho-test-unwrap-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function fileCard(srcDir, zipName, linkText, entries) {
+    const zip = new AdmZip();
+    for (const [name, content] of Object.entries(entries)) {
+      zip.addFile(name, Buffer.from(content));
+    }
+    zip.writeZip(path.join(srcDir, zipName));
+
+    const htmlPath = path.join(srcDir, 'note.html');
+    fs.writeFileSync(htmlPath,
+      `<html><head><title>Report</title></head><body data-notebook='{"name":"Docs"}'>` +
+      `<content><a href="${zipName}">${linkText}</a></content></body></html>`);
+    return parseNote(htmlPath);
+  }
+
+  function run(srcDir, note, unwrapZips) {
+    const plan = planAttachments([note], srcDir, { unwrapZips });
+    const converted = [convertNote(note, new Map(), { attachments: plan.get(0) })];
+    const outputDir = path.join(srcDir, 'out');
+    const stats = writeOutput([note], converted, buildNameMap([note]), srcDir, outputDir,
+      { attachmentPlan: plan });
+    return { body: converted[0].body, outputDir, stats };
+  }
+
+  it('extracts a single matching file and embeds it by its original name', () => {
+    const srcDir = path.join(tmpDir, 'single');
+    fs.mkdirSync(srcDir);
+    const note = fileCard(srcDir, 'abc123.zip', 'Report.xlsx', { 'Report.xlsx': 'sheet-data' });
+
+    const { body, outputDir, stats } = run(srcDir, note, true);
+    assert.equal(body, 'Attached file: ![[attachments/abc123/Report.xlsx]]\n');
+    assert.equal(
+      fs.readFileSync(path.join(outputDir, 'attachments', 'abc123', 'Report.xlsx'), 'utf-8'),
+      'sheet-data',
+    );
+    assert.ok(!fs.existsSync(path.join(outputDir, 'attachments', 'abc123.zip')));
+    assert.equal(stats.zipsUnwrapped, 1);
+  });
+
+  it('keeps multi-file zips as-is and counts them', () => {
+    const srcDir = path.join(tmpDir, 'multi');
+    fs.mkdirSync(srcDir);
+    const note = fileCard(srcDir, 'abc123.zip', 'Report.xlsx', { 'Report.xlsx': 'a', 'extra.txt': 'b' });
+
+    const { body, outputDir, stats } = run(srcDir, note, true);
+    assert.equal(body, 'Attached file: ![[attachments/abc123.zip]]\n');
+    assert.ok(fs.existsSync(path.join(outputDir, 'attachments', 'abc123.zip')));
+    assert.equal(stats.zipsKept, 1);
+  });
+
+  it('keeps zips whose contents do not match the link text', () => {
+    const srcDir = path.join(tmpDir, 'mismatch');
+    fs.mkdirSync(srcDir);
+    const note = fileCard(srcDir, 'abc123.zip', 'Report.xlsx', { 'Other.pdf': 'a' });
+
+    const { body, stats } = run(srcDir, note, true);
+    assert.equal(body, 'Attached file: ![[attachments/abc123.zip]]\n');
+    assert.equal(stats.zipsKept, 1);
+  });
+
+  it('sanitizes a link text filename that tries to escape the folder', () => {
+    const srcDir = path.join(tmpDir, 'traversal');
+    fs.mkdirSync(srcDir);
+    const note = fileCard(srcDir, 'abc123.zip', '../evil.txt', { '../evil.txt': 'x' });
+
+    const plan = planAttachments([note], srcDir, { unwrapZips: true });
+    const { dest } = plan.get(0).get('abc123.zip');
+    assert.ok(!dest.split('/').includes('..'), `Dest escapes attachments: ${dest}`);
+  });
+
+  it('leaves zips untouched when unwrapping is not requested', () => {
+    const srcDir = path.join(tmpDir, 'optout');
+    fs.mkdirSync(srcDir);
+    const note = fileCard(srcDir, 'abc123.zip', 'Report.xlsx', { 'Report.xlsx': 'sheet-data' });
+
+    const { body, stats } = run(srcDir, note, false);
+    assert.equal(body, 'Attached file: ![[attachments/abc123.zip]]\n');
+    assert.equal(stats.zipsUnwrapped, 0);
+    assert.equal(stats.zipsKept, 0);
+  });
+});
+
+describe('content-hash attachment deduplication', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zoho-test-dedupe-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // Two Znote-style notes, each with its own attachment directory
+  function znoteWithImage(noteId, content) {
+    const attachmentDir = path.join(tmpDir, noteId);
+    fs.mkdirSync(attachmentDir, { recursive: true });
+    fs.writeFileSync(path.join(attachmentDir, 'image.png'), content);
+    const $ = cheerio.load('<content><img src="image.png"></content>', { xmlMode: false });
+    return {
+      sourceFile: `${noteId}.znote`,
+      noteId,
+      notebook: 'Test',
+      title: noteId,
+      createdDate: null,
+      modifiedDate: null,
+      contentNode: $('content')[0],
+      images: ['image.png'],
+      attachments: [],
+      attachmentDir,
+    };
+  }
+
+  it('gives different files with the same name distinct names and embeds', () => {
+    const notes = [znoteWithImage('first', 'one'), znoteWithImage('second', 'two')];
+    const plan = planAttachments(notes, tmpDir);
+    const converted = notes.map((note, i) => convertNote(note, new Map(), { attachments: plan.get(i) }));
+    assert.equal(converted[0].body, '![[attachments/image.png]]\n');
+    assert.equal(converted[1].body, '![[attachments/image 2.png]]\n');
+
+    const outputDir = path.join(tmpDir, 'out-distinct');
+    writeOutput(notes, converted, buildNameMap(notes), tmpDir, outputDir, { attachmentPlan: plan });
+    assert.equal(fs.readFileSync(path.join(outputDir, 'attachments', 'image.png'), 'utf-8'), 'one');
+    assert.equal(fs.readFileSync(path.join(outputDir, 'attachments', 'image 2.png'), 'utf-8'), 'two');
+  });
+
+  it('stores identical files once', () => {
+    const notes = [znoteWithImage('third', 'same'), znoteWithImage('fourth', 'same')];
+    const plan = planAttachments(notes, tmpDir);
+    assert.equal(plan.get(0).get('image.png').dest, 'image.png');
+    assert.equal(plan.get(1).get('image.png').dest, 'image.png');
+
+    const converted = notes.map((note, i) => convertNote(note, new Map(), { attachments: plan.get(i) }));
+    const stats = writeOutput(notes, converted, buildNameMap(notes), tmpDir,
+      path.join(tmpDir, 'out-same'), { attachmentPlan: plan });
+    assert.equal(stats.images, 1);
+    assert.deepEqual(stats.attachmentResults[0].noteIndices, [0, 1]);
+  });
+});
+
+describe('attachment layouts (--attachments)', () => {
+  let tmpDir;
+  let srcDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zoho-test-layout-'));
+    srcDir = path.join(tmpDir, 'src');
+    fs.mkdirSync(srcDir);
+    fs.copyFileSync(path.join(fixturesDir, 'photo-card.html'), path.join(srcDir, 'photo-card.html'));
+    fs.writeFileSync(path.join(srcDir, 'gsgjkphoto456.png'), 'png');
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function convertWithLayout(layout, outputName) {
+    const notes = [parseNote(path.join(srcDir, 'photo-card.html'))];
+    const nameMap = buildNameMap(notes);
+    const plan = planAttachments(notes, srcDir, { layout, nameMap });
+    const converted = notes.map((note, i) => convertNote(note, new Map(), { attachments: plan.get(i) }));
+    const outputDir = path.join(tmpDir, outputName);
+    const stats = writeOutput(notes, converted, nameMap, srcDir, outputDir, { attachmentPlan: plan });
+    return { body: converted[0].body, stats, outputDir };
+  }
+
+  for (const [layout, folder] of [
+    ['global', 'attachments'],
+    ['per-notebook', 'photo-album/attachments'],
+    ['per-note', 'photo-album/attachments/Photo Card'],
+    ['{notebook}/_assets', 'photo-album/_assets'],
+  ]) {
+    it(`${layout}: copies into ${folder}/ and embeds that path`, () => {
+      const { body, stats, outputDir } = convertWithLayout(layout, `out-${folder.replace(/\W/g, '-')}`);
+      assert.equal(body, `![[${folder}/gsgjkphoto456.png]]\n`);
+      assert.deepEqual(stats.attachmentResults.map(a => a.path), [`${folder}/gsgjkphoto456.png`]);
+      assert.ok(fs.existsSync(path.join(outputDir, folder, 'gsgjkphoto456.png')));
+    });
+  }
+
+  it('rejects templates that leave the vault or use unknown placeholders', () => {
+    assert.throws(() => parseAttachmentLayout('../assets'), /inside the vault/);
+    assert.throws(() => parseAttachmentLayout('/tmp/assets'), /inside the vault/);
+    assert.throws(() => parseAttachmentLayout('{notebook}/{title}'), /Unknown placeholder \{title\}/);
+    assert.equal(parseAttachmentLayout('per-notebook'), '{notebook}/attachments');
+  });
+});
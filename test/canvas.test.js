@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseNote } from '../src/parse-note.js';
+import { convertNote } from '../src/convert.js';
+import { writeOutput } from '../src/writer.js';
+import { buildNameMap } from '../src/names.js';
+import { planCanvases } from '../src/canvas.js';
+
+const fixturesDir = path.join(import.meta.dirname, 'fixtures');
+
+describe('planCanvases', () => {
+  const notes = [
+    { modifiedDate: '2024-01-01T10:00:00+0000', color: '#FEBF59' },
+    { modifiedDate: '2024-03-01T10:00:00+0000', color: '#FFFFFF' },
+    { modifiedDate: '2024-02-01T10:00:00+0000', color: '#4caf50' },
+    { modifiedDate: '2024-02-01T10:00:00+0000', color: null },
+    { modifiedDate: '2024-05-01T10:00:00+0000', color: null },
+  ];
+  const converted = [{ cardType: 'text' }, { cardType: 'photo' }, { cardType: 'text' }, { cardType: 'text' }, { cardType: 'text' }];
+  const results = [
+    { path: 'work/Old.md', attachments: [] },
+    { path: 'work/Photo.md', attachments: ['attachments/pic.png'] },
+    { path: 'work/Mid.md', attachments: [] },
+    { path: 'home/Other.md', attachments: [] },
+    { path: null, attachments: [] },
+  ];
+
+  it('lays out written notes per notebook, newest first', () => {
+    const [home, work] = planCanvases(notes, converted, results);
+    assert.equal(home.path, 'home/home.canvas');
+    assert.equal(work.path, 'work/work.canvas');
+    assert.deepEqual(work.canvas.nodes.map(n => [n.file, n.x, n.y]), [
+      ['attachments/pic.png', 0, 0],
+      ['work/Mid.md', 300, 0],
+      ['work/Old.md', 600, 0],
+    ]);
+    assert.deepEqual(work.canvas.edges, []);
+  });
+
+  it('tints cards with their color, leaving white and --note-colors none alone', () => {
+    const work = planCanvases(notes, converted, results)[1];
+    assert.deepEqual(work.canvas.nodes.map(n => n.color), [undefined, '#4CAF50', '#FEBF59']);
+    const plain = planCanvases(notes, converted, results, { colors: 'none' })[1];
+    assert.ok(plain.canvas.nodes.every(n => !('color' in n)));
+  });
+
+  it('wraps to a new row after four cards and keeps node IDs stable', () => {
+    const many = Array.from({ length: 5 }, (_, i) => ({ modifiedDate: `2024-01-0${9 - i}T00:00:00Z` }));
+    const manyResults = many.map((_, i) => ({ path: `nb/Note ${i}.md`, attachments: [] }));
+    const [board] = planCanvases(many, many.map(() => ({ cardType: 'text' })), manyResults);
+    assert.deepEqual([board.canvas.nodes[4].x, board.canvas.nodes[4].y], [0, 340]);
+    assert.equal(new Set(board.canvas.nodes.map(n => n.id)).size, 5);
+    assert.deepEqual(planCanvases(many, many.map(() => ({ cardType: 'text' })), manyResults), [board]);
+  });
+});
+
+describe('--canvas', () => {
+  it('writes a canvas per notebook next to its notes', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zoho-test-canvas-'));
+    try {
+      const notes = ['simple-note', 'checkboxes'].map(name => parseNote(path.join(fixturesDir, `${name}.html`)));
+      const converted = notes.map(note => convertNote(note));
+      const stats = writeOutput(notes, converted, buildNameMap(notes), fixturesDir, tmpDir, { canvas: true });
+      assert.deepEqual(stats.canvases, [{ folder: 'test-notebook', path: 'test-notebook/test-notebook.canvas', cards: 2, skipped: null }]);
+      const canvas = JSON.parse(fs.readFileSync(path.join(tmpDir, 'test-notebook', 'test-notebook.canvas'), 'utf-8'));
+      assert.deepEqual(canvas.nodes.map(n => n.file), ['test-notebook/Checkboxes.md', 'test-notebook/Simple Note.md']);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
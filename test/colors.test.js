@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseNote } from '../src/parse-note.js';
+import { convertNote } from '../src/convert.js';
+import { writeOutput } from '../src/writer.js';
+import { buildNameMap } from '../src/names.js';
+import { colorName, buildColorSnippet } from '../src/colors.js';
+
+const fixturesDir = path.join(import.meta.dirname, 'fixtures');
+
+describe('colorName', () => {
+  it('maps Zoho colors to a palette name by hue', () => {
+    assert.equal(colorName('#FEBF59'), 'yellow');
+    assert.equal(colorName('#4CAF50'), 'green');
+    assert.equal(colorName('#87ceeb'), 'blue');
+    assert.equal(colorName('#FF0000'), 'red');
+    assert.equal(colorName('#E6E6FA'), 'purple');
+    assert.equal(colorName('#F0E68C'), 'yellow');
+    assert.equal(colorName('#FFDAB9'), 'orange');
+  });
+
+  it('tells pink from red and brown from orange by lightness and saturation', () => {
+    assert.equal(colorName('#FFB6C1'), 'pink');
+    assert.equal(colorName('#E6C9A8'), 'brown');
+    assert.equal(colorName('#8B4513'), 'brown');
+    assert.equal(colorName('#D3D3D3'), 'gray');
+  });
+
+  it('ignores white, missing and malformed colors', () => {
+    assert.equal(colorName('#FFF'), null);
+    assert.equal(colorName(null), null);
+    assert.equal(colorName('yellow'), null);
+  });
+});
+
+describe('note colors', () => {
+  const note = () => parseNote(path.join(fixturesDir, 'simple-note.html'));
+
+  it('tags mode adds a color tag instead of cssclasses', () => {
+    const { frontmatter } = convertNote(note(), new Map(), { colors: 'tags' });
+    assert.ok(frontmatter.includes('color: "#FEBF59"'));
+    assert.ok(frontmatter.includes('  - color/yellow'));
+    assert.ok(!frontmatter.includes('cssclasses'));
+  });
+
+  it('none mode leaves colors out', () => {
+    const { frontmatter } = convertNote(note(), new Map(), { colors: 'none' });
+    assert.ok(!frontmatter.includes('color'));
+  });
+
+  it('writes the CSS snippet only when notes use color classes', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zoho-test-colors-'));
+    try {
+      const notes = [note()];
+      const snippetPath = (dir) => path.join(tmpDir, dir, '.obsidian', 'snippets', 'zoho-note-colors.css');
+
+      writeOutput(notes, notes.map(n => convertNote(n)), buildNameMap(notes), fixturesDir, path.join(tmpDir, 'a'));
+      assert.equal(fs.readFileSync(snippetPath('a'), 'utf-8'), buildColorSnippet());
+      assert.ok(buildColorSnippet().includes('.markdown-preview-view.zoho-yellow,'));
+
+      writeOutput(notes, notes.map(n => convertNote(n, new Map(), { colors: 'tags' })), buildNameMap(notes),
+        fixturesDir, path.join(tmpDir, 'b'), { colors: 'tags' });
+      assert.ok(!fs.existsSync(snippetPath('b')));
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -72,12 +72,11 @@ describe('parseNote metadata', () => {
     assert.deepEqual(note.attachments, []);
   });
 
-  it('internal-links: no images, href="#" collected as attachment', () => {
+  it('internal-links: no images, href="#" is not an attachment', () => {
     const note = parseNote(path.join(fixturesDir, 'internal-links.html'));
     assert.equal(note.title, 'Internal Links');
     assert.deepEqual(note.images, []);
-    // The rte-link has href="#" which parseNote collects (it's not http/zohonotebook/mailto)
-    assert.deepEqual(note.attachments, ['#']);
+    assert.deepEqual(note.attachments, []);
   });
 
   it('all fixtures have required metadata fields', () => {
@@ -106,3 +105,13 @@ describe('convertNote snapshots', () => {
     });
   }
 });
+
+describe('internal links', () => {
+  it('points title-only links at notes renamed by --on-conflict rename', () => {
+    const note = parseNote(path.join(fixturesDir, 'internal-links.html'));
+    const renamedTitles = new Map([['Meeting Notes', 'Meeting Notes 2']]);
+    const { body } = convertNote(note, idMap, { renamedTitles });
+    assert.ok(body.includes('Also check [[Meeting Notes 2|Meeting Notes]] page.'));
+    assert.ok(body.includes('See [[Resolved Target Note]] for details.'));
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseNote } from '../src/parse-note.js';
+import { convertNote } from '../src/convert.js';
+import { writeOutput } from '../src/writer.js';
+import { buildNameMap } from '../src/names.js';
+import { planDailyNotes, mergeDailySection } from '../src/daily-notes.js';
+
+const fixturesDir = path.join(import.meta.dirname, 'fixtures');
+
+describe('planDailyNotes', () => {
+  const notes = [
+    { createdDate: '2024-01-15T23:30:00+0530' },
+    { createdDate: '2024-01-15T08:00:00+0530' },
+    { createdDate: null },
+    { createdDate: '2024-01-16T09:00:00+0530' },
+    { createdDate: '2024-01-16T10:00:00+0530' },
+  ];
+  const results = [
+    { path: 'work/Late.md' },
+    { path: 'home/Early.md' },
+    { path: 'home/Undated.md' },
+    { path: null },
+    { path: 'work/Next.md' },
+  ];
+
+  it('groups written notes by the day they were created', () => {
+    assert.deepEqual(planDailyNotes(notes, results), [
+      { path: 'Daily Notes/2024-01-15.md', links: ['home/Early.md', 'work/Late.md'] },
+      { path: 'Daily Notes/2024-01-16.md', links: ['work/Next.md'] },
+    ]);
+  });
+
+  it('uses the folder, format and timezone', () => {
+    const planned = planDailyNotes(notes, results, { folder: '', format: 'YYYY/MM/YYYY-MM-DD', timezone: 'UTC' });
+    assert.deepEqual(planned.map(d => d.path), ['2024/01/2024-01-15.md', '2024/01/2024-01-16.md']);
+    assert.deepEqual(planned[0].links, ['home/Early.md', 'work/Late.md']);
+  });
+});
+
+describe('mergeDailySection', () => {
+  const section = [
+    '<!-- zoho-notebook-import -->',
+    '## Imported from Zoho',
+    '',
+    '- [[work/Late|Late]]',
+    '<!-- /zoho-notebook-import -->',
+  ].join('\n');
+
+  it('creates a daily note with just the section', () => {
+    assert.equal(mergeDailySection(null, ['work/Late.md']), section + '\n');
+  });
+
+  it('appends to an existing daily note and replaces the section on re-runs', () => {
+    const once = mergeDailySection('# Monday\n\nGym', ['work/Late.md']);
+    assert.equal(once, `# Monday\n\nGym\n\n${section}\n`);
+    assert.equal(mergeDailySection(once, ['work/Late.md']), once);
+
+    const edited = once + '\nWritten later\n';
+    const updated = mergeDailySection(edited, ['work/Late.md', 'work/Other.md']);
+    assert.ok(updated.startsWith('# Monday\n\nGym\n\n'));
+    assert.ok(updated.includes('- [[work/Late|Late]]\n- [[work/Other|Other]]\n'));
+    assert.ok(updated.endsWith('\nWritten later\n'));
+  });
+});
+
+describe('daily notes in writeOutput', () => {
+  it('creates and updates daily notes idempotently', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zoho-test-daily-'));
+    try {
+      const notes = [parseNote(path.join(fixturesDir, 'simple-note.html'))];
+      const converted = notes.map(note => convertNote(note));
+      const nameMap = buildNameMap(notes);
+      const options = { dailyNotes: { folder: 'Journal', format: 'YYYY-MM-DD' } };
+
+      const first = writeOutput(notes, converted, nameMap, fixturesDir, tmpDir, options);
+      assert.deepEqual(first.dailyNotes.map(d => [d.path, d.action]), [['Journal/2024-01-15.md', 'create']]);
+      const dailyPath = path.join(tmpDir, 'Journal', '2024-01-15.md');
+      assert.ok(fs.readFileSync(dailyPath, 'utf-8').includes('- [[test-notebook/Simple Note|Simple Note]]'));
+
+      fs.writeFileSync(dailyPath, '# Monday\n\n' + fs.readFileSync(dailyPath, 'utf-8'));
+      const second = writeOutput(notes, converted, nameMap, fixturesDir, tmpDir, options);
+      assert.equal(second.dailyNotes[0].action, 'unchanged');
+      assert.ok(fs.readFileSync(dailyPath, 'utf-8').startsWith('# Monday\n\n<!-- zoho-notebook-import -->'));
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseNote } from '../src/parse-note.js';
+import { convertNote } from '../src/convert.js';
+import { writeOutput } from '../src/writer.js';
+import { buildNameMap } from '../src/names.js';
+import { formatTimestamp, parseTimezone } from '../src/dates.js';
+
+const fixturesDir = path.join(import.meta.dirname, 'fixtures');
+
+describe('formatTimestamp', () => {
+  const lateNight = '2024-01-16T01:30:00+0530';
+
+  it('keeps the day the note was written on by default', () => {
+    assert.equal(formatTimestamp(lateNight), '2024-01-16');
+  });
+
+  it('formats ISO datetimes and custom patterns', () => {
+    assert.equal(formatTimestamp(lateNight, { format: 'datetime' }), '2024-01-16T01:30:00+05:30');
+    assert.equal(formatTimestamp(lateNight, { format: 'DD.MM.YYYY HH:mm' }), '16.01.2024 01:30');
+  });
+
+  it('converts to UTC or a named zone', () => {
+    assert.equal(formatTimestamp(lateNight, { format: 'datetime', timezone: 'UTC' }), '2024-01-15T20:00:00+00:00');
+    assert.equal(formatTimestamp(lateNight, { format: 'datetime', timezone: 'America/New_York' }),
+      '2024-01-15T15:00:00-05:00');
+  });
+
+  it('returns null for missing or invalid values', () => {
+    assert.equal(formatTimestamp(null), null);
+    assert.equal(formatTimestamp('not a date'), null);
+  });
+
+  it('rejects unknown timezones', () => {
+    assert.equal(parseTimezone('Asia/Kolkata'), 'Asia/Kolkata');
+    assert.throws(() => parseTimezone('Mars/Olympus'), /Unknown timezone/);
+  });
+});
+
+describe('dates in notes', () => {
+  it('quotes custom formats that are not plain YAML scalars', () => {
+    const note = parseNote(path.join(fixturesDir, 'simple-note.html'));
+    const { frontmatter } = convertNote(note, new Map(), { dateFormat: 'DD.MM.YYYY HH:mm' });
+    assert.ok(frontmatter.includes('created: "15.01.2024 10:30"'), frontmatter);
+  });
+
+  it('sets file times from the Zoho modified date', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zoho-test-filetimes-'));
+    try {
+      const notes = [parseNote(path.join(fixturesDir, 'simple-note.html'))];
+      writeOutput(notes, notes.map(n => convertNote(n)), buildNameMap(notes), fixturesDir, tmpDir, { fileTimes: true });
+      const { mtime } = fs.statSync(path.join(tmpDir, 'test-notebook', 'Simple Note.md'));
+      assert.equal(mtime.toISOString(), '2024-06-20T08:30:00.000Z');
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
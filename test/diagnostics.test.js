@@ -0,0 +1,162 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createDiagnostics, setDiagnostics, getDiagnostics, withNote, parseFailOn, EXIT_CODES, DATA_LOSS_CODES,
+} from '../src/diagnostics.js';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseNote } from '../src/parse-note.js';
+import { convertNote } from '../src/convert.js';
+import { writeOutput } from '../src/writer.js';
+import { buildNameMap } from '../src/names.js';
+
+const fixturesDir = path.join(import.meta.dirname, 'fixtures');
+
+function collect(options = {}) {
+  const lines = [];
+  const diagnostics = createDiagnostics({ ...options, write: line => lines.push(line) });
+  return { diagnostics, lines };
+}
+
+describe('createDiagnostics', () => {
+  it('prints text lines with the code and source, and tallies by code', () => {
+    const { diagnostics, lines } = collect();
+    diagnostics.report('ATTACHMENT_MISSING', 'File not found: a.png', { noteId: 'n1', source: 'n1.html' });
+    diagnostics.report('ATTACHMENT_MISSING', 'File not found: b.png', { noteId: 'n2', source: 'n2.html' });
+    diagnostics.report('VIDEO_NOT_EXPORTED', 'Video content was not included in the export');
+    diagnostics.printTally();
+
+    assert.deepEqual(lines, [
+      '  WARN [ATTACHMENT_MISSING] File not found: a.png (n1.html)',
+      '  WARN [ATTACHMENT_MISSING] File not found: b.png (n2.html)',
+      '\nDiagnostics: 2 warnings, 1 info',
+      '  ATTACHMENT_MISSING: 2',
+      '  VIDEO_NOT_EXPORTED: 1',
+    ]);
+  });
+
+  it('writes one JSON object per line, ending with a summary', () => {
+    const { diagnostics, lines } = collect({ format: 'json' });
+    diagnostics.report('ZNOTE_PARSE_FAILED', 'Failed to parse: No Note.znel found', { noteId: 'abc', source: 'Work/abc.znote' });
+    diagnostics.printTally();
+
+    assert.deepEqual(lines.map(line => JSON.parse(line)), [
+      {
+        type: 'diagnostic',
+        code: 'ZNOTE_PARSE_FAILED',
+        severity: 'error',
+        noteId: 'abc',
+        source: 'Work/abc.znote',
+        message: 'Failed to parse: No Note.znel found',
+      },
+      { type: 'summary', severities: { error: 1, warning: 0, info: 0 }, codes: { ZNOTE_PARSE_FAILED: 1 } },
+    ]);
+  });
+
+  it('--quiet prints only errors but still counts everything', () => {
+    const { diagnostics, lines } = collect({ quiet: true });
+    diagnostics.report('INVALID_DATE', 'Invalid date value "x", skipping');
+    diagnostics.report('UNSAFE_PATH', 'Skipping note: notebook folder ".." would escape output directory');
+
+    assert.deepEqual(lines, ['  ERROR [UNSAFE_PATH] Skipping note: notebook folder ".." would escape output directory']);
+    assert.deepEqual(diagnostics.tally().severities, { error: 1, warning: 1, info: 0 });
+  });
+
+  it('rejects unknown codes', () => {
+    assert.throws(() => collect().diagnostics.report('NOPE', 'x'), /Unknown diagnostic code "NOPE"/);
+  });
+});
+
+describe('exit codes', () => {
+  it('fails on errors and data loss always, on other warnings only with --strict or --fail-on', () => {
+    const { diagnostics } = collect({ quiet: true });
+    diagnostics.report('AUDIO_FORMAT_UNKNOWN', 'Audio format not recognized: files/rec1');
+    assert.equal(diagnostics.exitCode(), EXIT_CODES.clean);
+    assert.equal(diagnostics.exitCode({ strict: true }), EXIT_CODES.clean);
+    assert.equal(diagnostics.exitCode({ failOn: ['AUDIO_FORMAT_UNKNOWN'] }), EXIT_CODES.warnings);
+
+    diagnostics.report('INVALID_DATE', 'Invalid date value "x", skipping');
+    assert.equal(diagnostics.exitCode(), EXIT_CODES.clean);
+    assert.equal(diagnostics.exitCode({ strict: true }), EXIT_CODES.warnings);
+
+    diagnostics.report('VIDEO_NOT_EXPORTED', 'Video content was not included in the export');
+    assert.equal(diagnostics.exitCode(), EXIT_CODES.dataLoss);
+    assert.equal(diagnostics.exitCode({ strict: true }), EXIT_CODES.dataLoss);
+
+    diagnostics.report('ZNOTE_PARSE_FAILED', 'Failed to parse: No Note.znel found');
+    assert.equal(diagnostics.exitCode(), EXIT_CODES.partial);
+    assert.equal(diagnostics.exitCode({ strict: true }), EXIT_CODES.partial);
+  });
+
+  it('states a failing exit code after the tally', () => {
+    const { diagnostics, lines } = collect({ quiet: true });
+    diagnostics.report('ATTACHMENT_MISSING', 'File not found: a.png');
+    diagnostics.printTally(EXIT_CODES.dataLoss);
+    assert.equal(lines.at(-1), 'Exit code 4: data loss detected');
+  });
+
+  it('counts every data-loss code as data loss', () => {
+    for (const code of DATA_LOSS_CODES) {
+      const { diagnostics } = collect({ quiet: true });
+      diagnostics.report(code, 'lost');
+      assert.equal(diagnostics.exitCode(), EXIT_CODES.dataLoss, code);
+    }
+  });
+
+  it('parses --fail-on code lists', () => {
+    assert.deepEqual(parseFailOn('ATTACHMENT_MISSING, INVALID_DATE'), ['ATTACHMENT_MISSING', 'INVALID_DATE']);
+    assert.deepEqual(parseFailOn(undefined), []);
+    assert.throws(() => parseFailOn('ATTACHMENT_MISING'), /Unknown diagnostic code "ATTACHMENT_MISING" in --fail-on/);
+  });
+});
+
+describe('withNote', () => {
+  it('attributes diagnostics from deep inside conversion to the note', () => {
+    const previous = getDiagnostics();
+    const { diagnostics } = collect({ quiet: true });
+    setDiagnostics(diagnostics);
+    try {
+      const note = {
+        noteId: 'n42',
+        sourceFile: 'n42.html',
+        title: 'Bad Date',
+        notebook: 'Work',
+        createdDate: 'yesterday',
+        modifiedDate: null,
+        contentNode: null,
+      };
+      withNote(note, () => convertNote(note));
+    } finally {
+      setDiagnostics(previous);
+    }
+
+    assert.deepEqual(diagnostics.entries, [{
+      code: 'INVALID_DATE',
+      severity: 'warning',
+      noteId: 'n42',
+      source: 'n42.html',
+      message: 'Invalid date value "yesterday", skipping',
+    }]);
+  });
+});
+
+describe('in-page links', () => {
+  it('are not reported as missing attachments', () => {
+    const previous = getDiagnostics();
+    const { diagnostics } = collect({ quiet: true });
+    setDiagnostics(diagnostics);
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zoho-test-anchors-'));
+    try {
+      const notes = [parseNote(path.join(fixturesDir, 'internal-links.html'))];
+      const converted = notes.map(note => withNote(note, () => convertNote(note)));
+      writeOutput(notes, converted, buildNameMap(notes), fixturesDir, tmpDir, {});
+    } finally {
+      setDiagnostics(previous);
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    assert.deepEqual(diagnostics.entries.filter(entry => entry.code === 'ATTACHMENT_MISSING'), []);
+    assert.notEqual(diagnostics.exitCode(), EXIT_CODES.dataLoss);
+  });
+});
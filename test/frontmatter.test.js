@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseNote } from '../src/parse-note.js';
+import { convertNote, convertFolderNote } from '../src/convert.js';
+import { emitFrontmatter, plain } from '../src/yaml.js';
+import { parseFrontmatterConfig } from '../src/frontmatter.js';
+import { loadConfig } from '../src/config.js';
+
+const fixturesDir = path.join(import.meta.dirname, 'fixtures');
+
+describe('emitFrontmatter', () => {
+  it('quotes strings and leaves plain() values bare when safe', () => {
+    const yaml = emitFrontmatter([
+      ['title', 'Say "hi"\nthere'],
+      ['created', plain('2024-01-15')],
+      ['tags', [plain('日記'), plain('true'), plain('1e5'), plain('a b')]],
+      ['count', 3],
+      ['done', false],
+      ['skipped', null],
+    ]);
+    assert.equal(yaml, [
+      '---',
+      'title: "Say \\"hi\\"\\nthere"',
+      'created: 2024-01-15',
+      'tags:',
+      '  - 日記',
+      '  - "true"',
+      '  - "1e5"',
+      '  - "a b"',
+      'count: 3',
+      'done: false',
+      '---',
+    ].join('\n'));
+  });
+
+  it('writes nested mappings and inline lists', () => {
+    const yaml = emitFrontmatter([
+      ['tags', [plain('a'), 'b, c']],
+      ['zoho', { id: 'n1', 'odd key': [{ x: '1' }], empty: {} }],
+    ], { inline: new Set(['tags']) });
+    assert.equal(yaml, [
+      '---',
+      'tags: [a, "b, c"]',
+      'zoho:',
+      '  id: "n1"',
+      '  "odd key":',
+      '    - x: "1"',
+      '  empty: {}',
+      '---',
+    ].join('\n'));
+  });
+});
+
+describe('frontmatter mapping', () => {
+  const note = () => parseNote(path.join(fixturesDir, 'simple-note.html'));
+  const mapping = parseFrontmatterConfig({
+    rename: { created: 'date-created', notebook: 'category' },
+    drop: ['aliases', 'zoho'],
+    add: { type: 'note', reviewed: false, source: 'zoho' },
+    fields: { 'source-file': 'sourceFile', missing: 'notebookMeta.nope' },
+    lists: { tags: 'inline' },
+  });
+
+  it('renames, drops, adds and reads NoteData fields in place', () => {
+    const { frontmatter } = convertNote(note(), new Map(), { frontmatter: mapping });
+    const keys = frontmatter.split('\n').filter(line => /^[\w"][^:]*:/.test(line)).map(line => line.split(':')[0]);
+    assert.deepEqual(keys, ['title', 'category', 'date-created', 'modified', 'color', 'tags', 'cssclasses', 'source', 'source-file', 'type', 'reviewed']);
+    assert.ok(frontmatter.includes('source: "zoho"'));
+    assert.ok(frontmatter.includes('source-file: "'));
+    assert.ok(frontmatter.includes('reviewed: false'));
+    assert.match(frontmatter, /^tags: \[zoho-notebook, [^\]]+\]$/m);
+  });
+
+  it('skips fields that are not plain data', () => {
+    const config = parseFrontmatterConfig({ fields: { content: 'contentNode' } });
+    const { frontmatter } = convertNote(note(), new Map(), { frontmatter: config });
+    assert.ok(!frontmatter.includes('content:'));
+  });
+
+  it('applies to folder notes', () => {
+    const markdown = convertFolderNote({ name: 'Ideas', noteCount: 2, cover: null }, { frontmatter: mapping });
+    assert.ok(markdown.includes('category: "Ideas"'));
+    assert.ok(markdown.includes('tags: [zoho-notebook, ideas]'));
+  });
+
+  it('leaves the default frontmatter unchanged without a mapping', () => {
+    const expected = fs.readFileSync(path.join(fixturesDir, 'simple-note.expected.md'), 'utf-8');
+    assert.ok(expected.startsWith(convertNote(note(), new Map()).frontmatter));
+  });
+});
+
+describe('loadConfig', () => {
+  const withConfig = (contents, fn) => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zoho-test-config-'));
+    const file = path.join(tmpDir, 'config.json');
+    fs.writeFileSync(file, contents);
+    try {
+      return fn(file);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  };
+
+  it('parses the frontmatter section', () => {
+    const config = withConfig('{"frontmatter": {"drop": ["aliases"]}}', loadConfig);
+    assert.deepEqual(config.frontmatter.drop, ['aliases']);
+    assert.equal(config.frontmatter.lists, 'block');
+  });
+
+  it('rejects malformed files, unknown sections and bad settings', () => {
+    assert.throws(() => withConfig('{nope', loadConfig), /Could not read config file/);
+    assert.throws(() => withConfig('{"frontmater": {}}', loadConfig), /unknown section "frontmater"/);
+    assert.throws(() => withConfig('{"frontmatter": {"renmae": {}}}', loadConfig), /unknown setting "renmae"/);
+    assert.throws(() => withConfig('{"frontmatter": {"lists": "flow"}}', loadConfig), /frontmatter.lists/);
+    assert.throws(() => withConfig('{"frontmatter": {"drop": "aliases"}}', loadConfig), /frontmatter.drop/);
+  });
+});
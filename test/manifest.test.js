@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseNote } from '../src/parse-note.js';
+import { convertNote } from '../src/convert.js';
+import { writeOutput } from '../src/writer.js';
+import { buildNameMap } from '../src/names.js';
+import { buildManifest, writeManifest } from '../src/manifest.js';
+import { planAttachments } from '../src/attachments.js';
+
+const fixturesDir = path.join(import.meta.dirname, 'fixtures');
+
+describe('migration manifest', () => {
+  it('records notes, notebooks and attachments with hashes', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zoho-test-manifest-'));
+    try {
+      const srcDir = path.join(tmpDir, 'src');
+      fs.mkdirSync(srcDir);
+      for (const name of ['photo-card', 'video-card', 'file-card']) {
+        fs.copyFileSync(path.join(fixturesDir, `${name}.html`), path.join(srcDir, `${name}.html`));
+      }
+      fs.writeFileSync(path.join(srcDir, 'gsgjkphoto456.png'), 'png-bytes');
+      // gsgjkfile789.zip is deliberately missing
+
+      const notes = ['photo-card', 'video-card', 'file-card']
+        .map(name => parseNote(path.join(srcDir, `${name}.html`)));
+      const attachmentPlan = planAttachments(notes, srcDir);
+      const converted = notes.map((note, i) => convertNote(note, new Map(), { attachments: attachmentPlan.get(i) }));
+      const nameMap = buildNameMap(notes);
+      const outputDir = path.join(tmpDir, 'vault');
+      const stats = writeOutput(notes, converted, nameMap, srcDir, outputDir, { attachmentPlan });
+
+      const manifest = buildManifest({ notes, converted, nameMap, stats, outputDir, attachmentPlan });
+      const manifestPath = path.join(tmpDir, 'reports', 'manifest.json');
+      writeManifest(manifestPath, manifest);
+      const parsed = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+
+      const photo = parsed.notes.find(n => n.noteId === 'photo-card');
+      assert.equal(photo.outputPath, 'photo-album/Photo Card.md');
+      assert.equal(photo.cardType, 'photo');
+      assert.deepEqual(photo.attachments, [{
+        path: 'attachments/gsgjkphoto456.png',
+        size: 9,
+        sha256: crypto.createHash('sha256').update('png-bytes').digest('hex'),
+      }]);
+
+      const video = parsed.notes.find(n => n.noteId === 'video-card');
+      assert.equal(video.contentLost, true);
+      assert.equal(video.stats.lostMedia, true);
+      assert.equal(photo.stats.attachments, 1);
+
+      const file = parsed.notes.find(n => n.noteId === 'file-card');
+      assert.deepEqual(file.warnings, ['File not found: gsgjkfile789.zip']);
+      assert.deepEqual(file.missingAttachments, [{ source: 'gsgjkfile789.zip', reason: 'File not found: gsgjkfile789.zip' }]);
+      assert.equal(file.contentLost, true);
+      assert.equal(file.stats.lostMedia, true);
+      assert.equal(photo.contentLost, false);
+      assert.equal(photo.stats.lostMedia, false);
+      assert.deepEqual(photo.missingAttachments, []);
+
+      assert.deepEqual(parsed.attachments.map(a => [a.source, a.destination, a.referencedBy]), [
+        ['gsgjkphoto456.png', 'attachments/gsgjkphoto456.png', ['photo-card']],
+      ]);
+      assert.equal(parsed.notebooks.length, 3);
+      assert.equal(parsed.summary.written, 3);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
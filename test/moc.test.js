@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseNote } from '../src/parse-note.js';
+import { convertNote } from '../src/convert.js';
+import { writeOutput } from '../src/writer.js';
+import { buildNameMap } from '../src/names.js';
+import { planIndexNotes, HOME_NOTE } from '../src/moc.js';
+import { isGeneratedNote } from '../src/utils.js';
+
+const fixturesDir = path.join(import.meta.dirname, 'fixtures');
+
+describe('planIndexNotes', () => {
+  const notes = [
+    { notebook: 'Work', title: 'Beta', createdDate: '2024-01-02T09:00:00+0000' },
+    { notebook: 'Work', title: 'Alpha', createdDate: '2024-01-01T09:00:00+0000' },
+    { notebook: 'Work', title: 'Receipt', createdDate: '2024-01-03T09:00:00+0000' },
+    { notebook: 'Café', title: 'Menu', createdDate: null },
+    { notebook: 'Work', title: 'Skipped', createdDate: null },
+  ];
+  const converted = [{ cardType: 'text' }, { cardType: 'text' }, { cardType: 'photo' }, { cardType: 'audio' }, { cardType: 'text' }];
+  const results = [
+    { path: 'work/Beta.md' },
+    { path: 'work/Alpha.md' },
+    { path: 'work/Receipt.md' },
+    { path: 'café/Menu.md' },
+    { path: null },
+  ];
+
+  it('lists each notebook\'s written notes grouped by card type', () => {
+    const [cafe, work, home] = planIndexNotes(notes, converted, results);
+    assert.equal(cafe.path, 'café/Café MOC.md');
+    assert.equal(work.path, 'work/Work MOC.md');
+    assert.ok(work.markdown.includes([
+      '# Work',
+      '',
+      '## Notes (2)',
+      '',
+      '- [[work/Alpha|Alpha]]',
+      '- [[work/Beta|Beta]]',
+      '',
+      '## Photos (1)',
+      '',
+      '- [[work/Receipt|Receipt]]',
+    ].join('\n')));
+    assert.ok(!work.markdown.includes('Skipped'));
+    assert.equal(home.path, HOME_NOTE);
+  });
+
+  it('sorts by date, newest first, showing the date', () => {
+    const work = planIndexNotes(notes, converted, results, { sort: 'created' })[1];
+    assert.ok(work.markdown.includes('- [[work/Beta|Beta]] · 2024-01-02\n- [[work/Alpha|Alpha]] · 2024-01-01\n'));
+  });
+
+  it('links every notebook from the home note with counts', () => {
+    const home = planIndexNotes(notes, converted, results).at(-1);
+    assert.ok(home.markdown.includes('4 notes in 2 notebooks.'));
+    assert.ok(home.markdown.includes('- [[café/Café MOC|Café]] — 1 note (1 audio)\n'));
+    assert.ok(home.markdown.includes('- [[work/Work MOC|Work]] — 3 notes (2 text, 1 photo)\n'));
+    assert.ok(isGeneratedNote(home.markdown));
+    assert.ok(!isGeneratedNote('---\ntitle: "Mine"\n---\ngenerated-by: zoho-notebook-to-obsidian\n'));
+  });
+});
+
+describe('--moc', () => {
+  it('rebuilds index notes on re-runs but keeps files it did not write', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zoho-test-moc-'));
+    try {
+      const notes = ['simple-note', 'checkboxes'].map(name => parseNote(path.join(fixturesDir, `${name}.html`)));
+      const converted = notes.map(note => convertNote(note));
+      const nameMap = buildNameMap(notes);
+      const options = { moc: { sort: 'title' }, onConflict: 'skip' };
+
+      const first = writeOutput(notes, converted, nameMap, fixturesDir, tmpDir, options);
+      assert.deepEqual(first.indexNotes.map(n => n.path), ['test-notebook/Test Notebook MOC.md', HOME_NOTE]);
+      const mocPath = path.join(tmpDir, 'test-notebook', 'Test Notebook MOC.md');
+      const written = fs.readFileSync(mocPath, 'utf-8');
+
+      fs.writeFileSync(mocPath, written.replace('# Test Notebook', '# Stale'));
+      fs.writeFileSync(path.join(tmpDir, HOME_NOTE), 'My own home page\n');
+      const second = writeOutput(notes, converted, nameMap, fixturesDir, tmpDir, options);
+      assert.equal(fs.readFileSync(mocPath, 'utf-8'), written);
+      assert.equal(fs.readFileSync(path.join(tmpDir, HOME_NOTE), 'utf-8'), 'My own home page\n');
+      assert.equal(second.indexNotes[1].skipped, 'exists');
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseNote } from '../src/parse-note.js';
+import { convertNote, convertFolderNote } from '../src/convert.js';
+import { writeOutput, planGeneratedFiles } from '../src/writer.js';
+import { planAttachments } from '../src/attachments.js';
+import { resolveCollisions } from '../src/conflicts.js';
+import { buildNameMap } from '../src/names.js';
+import { readNotebookMeta, planFolderNotes } from '../src/notebooks.js';
+
+const fixturesDir = path.join(import.meta.dirname, 'fixtures');
+
+describe('readNotebookMeta', () => {
+  it('reads cover IDs from the top level or the cover object', () => {
+    assert.equal(readNotebookMeta({ name: 'A', cover_id: 123 }).coverId, '123');
+    assert.equal(readNotebookMeta({ name: 'A', cover: { cover_id: 'abc' } }).coverId, 'abc');
+    assert.equal(readNotebookMeta({ name: 'A', cover: {} }).coverId, null);
+    assert.equal(readNotebookMeta(null), null);
+  });
+});
+
+describe('folder notes and covers', () => {
+  let tmpDir;
+  let srcDir;
+
+  const notebook = (name, extra) => ({ name, created_date: '2024-01-15T10:30:00+0530', ...extra });
+  const note = (noteId, notebookRaw) => ({
+    sourceFile: `${noteId}.html`,
+    noteId,
+    notebook: notebookRaw.name,
+    notebookMeta: readNotebookMeta(notebookRaw),
+    title: noteId,
+    images: [],
+    attachments: [],
+  });
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zoho-test-notebooks-'));
+    srcDir = path.join(tmpDir, 'src');
+    fs.mkdirSync(path.join(srcDir, 'PrivateCovers'), { recursive: true });
+    fs.writeFileSync(path.join(srcDir, 'PrivateCovers', 'cover9001.png'), 'work-cover');
+    fs.writeFileSync(path.join(srcDir, 'PrivateCovers', 'stray.png'), 'stray');
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('plans one folder note per notebook and matches covers by ID', () => {
+    const notes = [
+      note('a', notebook('Work', { color: '#FF0000', cover: { cover_id: '9001' } })),
+      note('b', notebook('Work', { color: '#FF0000', cover: { cover_id: '9001' } })),
+      note('c', notebook('Home', { cover_id: '4242' })),
+    ];
+    const plan = planFolderNotes(notes, buildNameMap(notes), srcDir);
+
+    const work = plan.folderNotes.find(f => f.folder === 'work');
+    assert.equal(work.filename, 'work.md');
+    assert.equal(work.noteCount, 2);
+    assert.equal(work.cover.path, 'attachments/covers/cover9001.png');
+    assert.equal(plan.folderNotes.find(f => f.folder === 'home').cover, null);
+    assert.deepEqual(plan.unmatchedCovers, ['PrivateCovers/stray.png']);
+    assert.deepEqual(plan.missingCovers, [{ folder: 'home', coverId: '4242' }]);
+  });
+
+  it('places covers according to the attachment layout', () => {
+    const notes = [note('a', notebook('Work', { cover_id: '9001' }))];
+    const plan = planFolderNotes(notes, buildNameMap(notes), srcDir, { layout: 'per-notebook' });
+    assert.equal(plan.folderNotes[0].cover.path, 'work/attachments/covers/cover9001.png');
+  });
+
+  it('renders metadata and embeds the cover', () => {
+    const markdown = convertFolderNote({
+      folder: 'work',
+      filename: 'work.md',
+      name: 'Work',
+      createdDate: '2024-01-15T10:30:00+0530',
+      modifiedDate: null,
+      color: '#FF0000',
+      noteCount: 2,
+      cover: { path: 'attachments/covers/cover9001.png' },
+    });
+    assert.equal(markdown, [
+      '---',
+      'title: "Work"',
+      'notebook: "Work"',
+      'created: 2024-01-15',
+      'color: "#FF0000"',
+      'note-count: 2',
+      'tags:',
+      '  - zoho-notebook',
+      '  - work',
+      'source: zoho-notebook',
+      '---',
+      '![[attachments/covers/cover9001.png]]',
+      '',
+    ].join('\n'));
+  });
+
+  it('writes folder notes and copies covers, which are no longer unreferenced', () => {
+    fs.copyFileSync(path.join(fixturesDir, 'simple-note.html'), path.join(srcDir, 'simple-note.html'));
+    const notes = [parseNote(path.join(srcDir, 'simple-note.html'))];
+    notes[0].notebookMeta.coverId = '9001';
+    const nameMap = buildNameMap(notes);
+    const folderNotes = planFolderNotes(notes, nameMap, srcDir).folderNotes
+      .map(folderNote => ({ ...folderNote, markdown: convertFolderNote(folderNote) }));
+
+    const outputDir = path.join(tmpDir, 'vault');
+    const stats = writeOutput(notes, notes.map(n => convertNote(n)), nameMap, srcDir, outputDir, { folderNotes });
+
+    const folderNote = fs.readFileSync(path.join(outputDir, 'test-notebook', 'test-notebook.md'), 'utf-8');
+    assert.ok(folderNote.includes('note-count: 1'));
+    assert.ok(folderNote.includes('![[attachments/covers/cover9001.png]]'));
+    assert.equal(fs.readFileSync(path.join(outputDir, 'attachments', 'covers', 'cover9001.png'), 'utf-8'), 'work-cover');
+    assert.deepEqual(stats.unreferenced.map(u => u.source), ['PrivateCovers/stray.png']);
+  });
+
+  it('applies --on-conflict to covers', () => {
+    fs.copyFileSync(path.join(fixturesDir, 'simple-note.html'), path.join(srcDir, 'simple-note.html'));
+    const notes = [parseNote(path.join(srcDir, 'simple-note.html'))];
+    notes[0].notebookMeta.coverId = '9001';
+    const outputDir = path.join(tmpDir, 'vault-with-cover');
+    const coverPath = path.join(outputDir, 'attachments', 'covers', 'cover9001.png');
+    fs.mkdirSync(path.dirname(coverPath), { recursive: true });
+    fs.writeFileSync(coverPath, 'vault-cover');
+
+    const run = policy => {
+      const nameMap = buildNameMap(notes);
+      const attachmentPlan = planAttachments(notes, srcDir);
+      const folderNotes = planFolderNotes(notes, nameMap, srcDir).folderNotes
+        .map(folderNote => ({ ...folderNote, markdown: convertFolderNote(folderNote) }));
+      const options = { folderNotes, attachmentPlan, onConflict: policy };
+      const generatedFiles = planGeneratedFiles(notes, nameMap, srcDir, outputDir, options);
+      const collisions = resolveCollisions(nameMap, attachmentPlan, outputDir, policy, new Set(), generatedFiles);
+      if (policy === 'fail') return { collisions };
+      const stats = writeOutput(notes, notes.map(n => convertNote(n)), nameMap, srcDir, outputDir, { ...options, generatedFiles });
+      return { collisions, stats };
+    };
+
+    assert.deepEqual(run('fail').collisions.map(c => c.path), ['attachments/covers/cover9001.png']);
+
+    assert.equal(run('skip').stats.folderNotes[0].cover, null);
+    assert.equal(fs.readFileSync(coverPath, 'utf-8'), 'vault-cover');
+
+    fs.rmSync(path.join(outputDir, 'test-notebook'), { recursive: true });
+    const { stats } = run('rename');
+    assert.equal(stats.folderNotes[0].cover, 'attachments/covers/cover9001 2.png');
+    assert.equal(fs.readFileSync(coverPath, 'utf-8'), 'vault-cover');
+    assert.equal(fs.readFileSync(path.join(outputDir, 'attachments', 'covers', 'cover9001 2.png'), 'utf-8'), 'work-cover');
+  });
+});
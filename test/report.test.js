@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseNote } from '../src/parse-note.js';
+import { convertNote } from '../src/convert.js';
+import { writeOutput } from '../src/writer.js';
+import { buildNameMap } from '../src/names.js';
+import { buildImportReport, writeImportReport, REPORT_NOTE } from '../src/report.js';
+
+const fixturesDir = path.join(import.meta.dirname, 'fixtures');
+const createdAt = new Date('2024-06-01T12:30:00Z');
+
+function emptyStats(noteResults) {
+  return {
+    total: noteResults.length,
+    images: 0,
+    files: 0,
+    audio: 0,
+    notebooks: new Set(['work']),
+    noteResults,
+    missingAttachments: [],
+    unreferenced: [],
+  };
+}
+
+describe('buildImportReport', () => {
+  it('lists each problem with a link to the affected note', () => {
+    const notes = [
+      { title: 'Memo', sourceFile: 'memo.html', createdDate: '2024-01-01T09:00:00+0000', modifiedDate: 'not a date' },
+      { title: 'Blank', sourceFile: 'blank.html', createdDate: null, modifiedDate: null },
+    ];
+    const converted = [{ cardType: 'audio', body: 'See <!-- zoho internal link (unresolved): https://notebook.zoho.com/app/#/notes/abc -->' }, { cardType: 'empty', body: '' }];
+    const stats = emptyStats([
+      { path: 'work/Memo.md', skipped: null, warnings: ['Audio format not recognized: files/rec1'] },
+      { path: 'work/Blank.md', skipped: null, warnings: [] },
+    ]);
+    const report = buildImportReport({ notes, converted, stats, createdAt });
+
+    assert.ok(report.startsWith('---\ntitle: "Import Report"\ncreated: 2024-06-01\n'));
+    assert.ok(report.includes('- Notes written: 2 of 2\n- Notebooks: 1\n'));
+    assert.ok(report.includes('## Audio files needing attention (1)'));
+    assert.ok(report.includes('- [ ] [[work/Memo|Memo]]: `files/rec1` has no recognizable format'));
+    assert.ok(report.includes('- [ ] [[work/Memo|Memo]]: `https://notebook.zoho.com/app/#/notes/abc`\n'));
+    assert.ok(report.includes('- [ ] [[work/Memo|Memo]]: modified date "not a date"\n'));
+    assert.ok(report.includes('## Empty notes (1)'));
+    assert.ok(report.includes('- [ ] [[work/Blank|Blank]]\n'));
+    assert.ok(!report.includes('## Lost video'));
+  });
+
+  it('names skipped notes and parse failures by their export file', () => {
+    const notes = [{ title: 'Draft', sourceFile: 'draft.html', createdDate: null, modifiedDate: null }];
+    const stats = emptyStats([{ path: null, skipped: 'exists', warnings: [] }]);
+    const failures = [{ file: 'Work/abc.znote', reason: 'No Note.znel found' }];
+    const report = buildImportReport({ notes, converted: [{ cardType: 'text', body: 'x' }], stats, failures, createdAt });
+
+    assert.ok(report.includes('- Draft (draft.html): a file already exists at its path (--on-conflict skip)\n'));
+    assert.ok(report.includes('## Export files that could not be read (1)'));
+    assert.ok(report.includes('- [ ] `Work/abc.znote`: No Note.znel found\n'));
+  });
+});
+
+describe('--report', () => {
+  it('reports lost video, missing attachments and unresolved links from a real run', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zoho-test-report-'));
+    try {
+      const notes = ['video-card', 'image-note', 'internal-links'].map(name => parseNote(path.join(fixturesDir, `${name}.html`)));
+      const converted = notes.map(note => convertNote(note));
+      const stats = writeOutput(notes, converted, buildNameMap(notes), fixturesDir, tmpDir, {});
+      writeImportReport(tmpDir, buildImportReport({ notes, converted, stats, createdAt }));
+
+      const report = fs.readFileSync(path.join(tmpDir, REPORT_NOTE), 'utf-8');
+      assert.match(report, /## Lost video \(1\)\n\n.*\n\n- \[ \] \[\[videos\/demo-recording\.webm\.md\|demo-recording\.webm\]\]\n/);
+      assert.match(report, /## Missing attachments \(\d+\)[\s\S]*- \[ \] \[\[[^|]+\|Image Note\]\]: File not found/);
+      assert.match(report, /## Unresolved internal links \(\d+\)[\s\S]*- \[ \] \[\[[^|]+\|Internal Links\]\]: `/);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { parseNote } from '../src/parse-note.js';
+import { convertNote } from '../src/convert.js';
+import { noteStats } from '../src/stats.js';
+
+const fixturesDir = path.join(import.meta.dirname, 'fixtures');
+const convertFixture = (name, options) => convertNote(parseNote(path.join(fixturesDir, `${name}.html`)), new Map(), options);
+
+describe('noteStats', () => {
+  it('counts words, tasks, embeds and internal links', () => {
+    const body = [
+      '# Trip plan',
+      '- [ ] Book **hotel** near [[Packing List|the list]]',
+      '- [x] Renew passport',
+      '    - [ ] Photos',
+      '![[attachments/map.png]] ![[attachments/map.png]] ![[attachments/ticket.pdf]]',
+      'See [docs](https://example.com) and [[Budget]].',
+      '東京で会議',
+    ].join('\n') + '\n';
+    assert.deepEqual(noteStats(body, 'text'), {
+      cardType: 'text',
+      words: 19,
+      openTasks: 2,
+      completedTasks: 1,
+      attachments: 2,
+      internalLinks: 2,
+      lostMedia: false,
+    });
+  });
+
+  it('reports card types, lost video and no words for attachment labels', () => {
+    assert.equal(convertFixture('audio-card').stats.cardType, 'audio');
+    assert.equal(convertFixture('file-card').stats.cardType, 'file');
+    assert.equal(convertFixture('file-card').stats.words, 0);
+    const video = convertFixture('video-card').stats;
+    assert.equal(video.lostMedia, true);
+    assert.equal(video.words, 0);
+  });
+
+  it('flags planned attachments missing from the export as lost media', () => {
+    const entries = (src) => new Map([['gsgjkfile789.zip', { src }]]);
+    assert.equal(noteStats('', 'file', entries(null)).lostMedia, true);
+    assert.equal(noteStats('', 'file', entries('/export/gsgjkfile789.zip')).lostMedia, false);
+    assert.equal(noteStats('', 'file').lostMedia, false);
+  });
+});
+
+describe('--note-stats', () => {
+  it('adds the stats to frontmatter', () => {
+    const { frontmatter } = convertFixture('checkboxes', { noteStats: true });
+    assert.ok(frontmatter.includes([
+      'card-type: text',
+      'word-count: 7',
+      'open-tasks: 2',
+      'completed-tasks: 1',
+      'attachment-count: 0',
+      'link-count: 0',
+      'has-lost-media: false',
+      'source: zoho-notebook',
+    ].join('\n')));
+  });
+
+  it('leaves frontmatter alone by default', () => {
+    assert.ok(!convertFixture('checkboxes').frontmatter.includes('word-count'));
+  });
+});
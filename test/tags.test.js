@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import * as cheerio from 'cheerio';
+import { parseNote } from '../src/parse-note.js';
+import { convertNote, convertFolderNote } from '../src/convert.js';
+import { toTag, notebookTags, extractHashtags } from '../src/tags.js';
+
+const fixturesDir = path.join(import.meta.dirname, 'fixtures');
+
+function noteFromHtml(contentHtml) {
+  const $ = cheerio.load(`<content>${contentHtml}</content>`, { xmlMode: false });
+  return {
+    sourceFile: 'test.html',
+    noteId: 'tags-test',
+    notebook: 'Project X',
+    title: 'Tags',
+    color: null,
+    createdDate: null,
+    modifiedDate: null,
+    contentNode: $('content')[0],
+    images: [],
+    attachments: [],
+  };
+}
+
+describe('toTag', () => {
+  it('keeps non-ASCII letters', () => {
+    assert.equal(toTag('Café Ideas'), 'café-ideas');
+    assert.equal(toTag('日記'), '日記');
+    assert.equal(toTag('Заметки 2024'), 'заметки-2024');
+  });
+
+  it('drops characters Obsidian does not allow in tags', () => {
+    assert.equal(toTag('Work / Projects & #Ideas!'), 'work-projects-ideas');
+    assert.equal(toTag('  --Spaced   out--  '), 'spaced-out');
+    assert.equal(toTag('!!!'), '');
+  });
+
+  it('never returns a purely numeric tag', () => {
+    assert.equal(toTag('2024'), 'notebook-2024');
+  });
+});
+
+describe('notebookTags', () => {
+  it('flat keeps the base tag and the notebook tag side by side', () => {
+    assert.deepEqual(notebookTags('Café Ideas'), ['zoho-notebook', 'café-ideas']);
+    assert.deepEqual(notebookTags('Zoho Notebook'), ['zoho-notebook']);
+  });
+
+  it('nested puts the notebook under the base tag', () => {
+    assert.deepEqual(notebookTags('日記', { tagStyle: 'nested', baseTag: 'zoho' }), ['zoho/日記']);
+    assert.deepEqual(notebookTags('日記', { tagStyle: 'nested', baseTag: 'Import/Zoho' }), ['import/zoho/日記']);
+    assert.deepEqual(notebookTags('日記', { tagStyle: 'nested', baseTag: '' }), ['日記']);
+  });
+
+  it('none keeps only the base tag', () => {
+    assert.deepEqual(notebookTags('Café Ideas', { tagStyle: 'none' }), ['zoho-notebook']);
+    assert.deepEqual(notebookTags('Café Ideas', { tagStyle: 'none', baseTag: '' }), []);
+  });
+
+  it('falls back to the base tag when the notebook name has no usable characters', () => {
+    assert.deepEqual(notebookTags('???', { tagStyle: 'nested' }), ['zoho-notebook']);
+  });
+});
+
+describe('tags in frontmatter', () => {
+  const note = () => ({ ...parseNote(path.join(fixturesDir, 'simple-note.html')), notebook: 'Café Ideas' });
+
+  it('uses the tag style and base tag', () => {
+    const { frontmatter } = convertNote(note(), new Map(), { tagStyle: 'nested', baseTag: 'zoho' });
+    assert.ok(frontmatter.includes('tags:\n  - zoho/café-ideas\n'));
+    assert.ok(frontmatter.includes('source: zoho-notebook'));
+  });
+
+  it('omits tags entirely when there are none', () => {
+    const { frontmatter } = convertNote(note(), new Map(), { tagStyle: 'none', baseTag: '', colors: 'none' });
+    assert.ok(!frontmatter.includes('tags:'));
+  });
+
+  it('folder notes follow the same settings', () => {
+    const markdown = convertFolderNote({ name: '日記', noteCount: 1, cover: null }, { tagStyle: 'nested', baseTag: 'zoho' });
+    assert.ok(markdown.includes('tags:\n  - zoho/日記\n'));
+  });
+});
+
+describe('extractHashtags', () => {
+  it('finds hashtags at word starts', () => {
+    assert.deepEqual(extractHashtags('#todo call (#project-x), #日記/2024').tags, ['todo', 'project-x', '日記/2024']);
+  });
+
+  it('ignores URL fragments, numbers and mid-word #', () => {
+    assert.deepEqual(extractHashtags('see https://example.com/page#top, issue #42, C# and a#b').tags, []);
+  });
+
+  it('strips hashtags and closes the gap', () => {
+    assert.equal(extractHashtags('Call Bob #todo about #project-x.', { strip: true }).text, 'Call Bob about .');
+  });
+
+  it('matches text that continues a line with the character before it', () => {
+    assert.deepEqual(extractHashtags('#bold and #real', { before: 'o' }).tags, ['real']);
+    assert.equal(extractHashtags('#bold and #real', { before: 'o', strip: true }).text, '#bold and ');
+    assert.deepEqual(extractHashtags('#todo', { before: ' ' }).tags, ['todo']);
+  });
+});
+
+describe('inline hashtags', () => {
+  const html = '<div>Kickoff notes #project-x #Meeting</div>'
+    + '<h2>#not-a-tag heading</h2>'
+    + '<div>Run <code>git log #skip</code> and read <a href="https://example.com/#x">#link-text</a></div>'
+    + '<ul><li>follow up #todo</li></ul>'
+    + '<div class="checklist"><input type="checkbox"><span>book room #todo #venue</span></div>';
+
+  it('adds hashtags to tags without duplicating the notebook tag', () => {
+    const { frontmatter, body } = convertNote(noteFromHtml(html), new Map());
+    assert.ok(frontmatter.includes('tags:\n  - zoho-notebook\n  - project-x\n  - Meeting\n  - todo\n  - venue\n'));
+    assert.ok(body.includes('Kickoff notes #project-x #Meeting'));
+  });
+
+  it('skips headings, code and link text', () => {
+    const { frontmatter } = convertNote(noteFromHtml(html), new Map());
+    for (const tag of ['not-a-tag', 'skip', 'link-text']) assert.ok(!frontmatter.includes(`  - ${tag}\n`), tag);
+  });
+
+  it('--strip-hashtags removes promoted hashtags from the body only', () => {
+    const { body } = convertNote(noteFromHtml(html), new Map(), { stripHashtags: true });
+    assert.ok(body.includes('Kickoff notes\n'));
+    assert.ok(body.includes('- follow up\n'));
+    assert.ok(body.includes('- [ ] book room\n'));
+    assert.ok(body.includes('## #not-a-tag heading'));
+    assert.ok(body.includes('`git log #skip`'));
+  });
+
+  it('does not treat # right after inline formatting as a hashtag', () => {
+    const inline = '<div><b>Hello</b>#bold and #real</div><div><b>Next</b> #spaced</div><div><i>x</i></div><div>#fresh</div>';
+    const { frontmatter, body } = convertNote(noteFromHtml(inline), new Map(), { stripHashtags: true });
+    assert.ok(frontmatter.includes('  - real\n  - spaced\n  - fresh\n'), frontmatter);
+    assert.ok(!frontmatter.includes('  - bold\n'), frontmatter);
+    assert.ok(body.includes('**Hello**#bold and\n'), body);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import * as cheerio from 'cheerio';
+import { parseNote } from '../src/parse-note.js';
+import { convertNote } from '../src/convert.js';
+import { buildNameMap } from '../src/names.js';
+import { inferTitles, inferTitle } from '../src/titles.js';
+
+const fixturesDir = path.join(import.meta.dirname, 'fixtures');
+
+function untitledNote(contentHtml, overrides = {}) {
+  const $ = cheerio.load(contentHtml, { xmlMode: false });
+  let $content = $('content').first();
+  if ($content.length === 0) $content = $.root();
+  return {
+    sourceFile: 'test.html',
+    noteId: 'untitled-test',
+    notebook: 'Test',
+    title: 'Untitled',
+    color: null,
+    createdDate: '2024-03-10T23:30:00+0530',
+    modifiedDate: null,
+    contentNode: $content[0],
+    images: [],
+    attachments: [],
+    attachmentNames: new Map(),
+    ...overrides,
+  };
+}
+
+describe('inferTitle', () => {
+  it('prefers the first heading', () => {
+    const note = untitledNote('<content><div>Intro line</div><h2>Project <b>Plan</b></h2></content>');
+    assert.equal(inferTitle(note), 'Project Plan');
+  });
+
+  it('falls back to the first non-empty line without Markdown syntax', () => {
+    const note = untitledNote('<content><div><br></div><div><b>Call</b> the <a href="https://x.com">plumber</a></div></content>');
+    assert.equal(inferTitle(note), 'Call the plumber');
+  });
+
+  it('leaves out link syntax, hashtags and URLs', () => {
+    assert.equal(inferTitle(untitledNote('<content><div><b>Hello</b>#bold world</div></content>')), 'Hello bold world');
+    assert.equal(inferTitle(untitledNote('<content><div>Plan for #project-x and #日記 see https://a.com#frag</div></content>')),
+      'Plan for and see');
+    assert.equal(inferTitle(untitledNote('<content><div>[draft] ^block | notes</div></content>')), 'draft block notes');
+    assert.equal(inferTitle(untitledNote('<content><div>#todo</div><div>Groceries</div></content>')), 'Groceries');
+  });
+
+  it('uses the checklist item text', () => {
+    const note = untitledNote('<content><div><input type="checkbox"><span>Buy milk</span></div></content>');
+    assert.equal(inferTitle(note), 'Buy milk');
+  });
+
+  it('truncates long lines at a word boundary', () => {
+    const words = 'lorem ipsum dolor sit amet '.repeat(5);
+    const note = untitledNote(`<content><div>${words}</div></content>`);
+    const title = inferTitle(note);
+    assert.ok(title.length <= 60, `Title too long: ${title}`);
+    assert.ok(words.startsWith(title), `Not a prefix at a word boundary: ${title}`);
+  });
+
+  it('uses the link text of a file card', () => {
+    const note = untitledNote('<content><a href="abc123.zip">Report.xlsx</a></content>', {
+      attachments: ['abc123.zip'],
+      attachmentNames: new Map([['abc123.zip', 'Report.xlsx']]),
+    });
+    assert.equal(inferTitle(note), 'Report.xlsx');
+  });
+
+  it('uses the image name of a photo card', () => {
+    const note = untitledNote('<content><img src="Screenshot 2024.png"></content>', {
+      images: ['Screenshot 2024.png'],
+    });
+    assert.equal(inferTitle(note), 'Screenshot 2024');
+  });
+
+  it('does not title video cards from the missing-video warning', () => {
+    const note = untitledNote('<content></content>', { noteType: 'note/video' });
+    assert.equal(inferTitle(note), '2024-03-10');
+  });
+
+  it('falls back to the created date in the note\'s own timezone', () => {
+    const note = untitledNote('<content></content>');
+    assert.equal(inferTitle(note), '2024-03-10');
+  });
+});
+
+describe('inferTitles', () => {
+  it('leaves titled notes alone', () => {
+    const note = parseNote(path.join(fixturesDir, 'simple-note.html'));
+    const [result] = inferTitles([note]);
+    assert.equal(result, note);
+  });
+
+  it('drives filenames, title, aliases and keeps the original title', () => {
+    const notes = inferTitles([
+      untitledNote('<content><div>Groceries</div></content>'),
+      untitledNote('<content><div>Groceries</div></content>'),
+    ]);
+    const nameMap = buildNameMap(notes);
+    assert.deepEqual([...nameMap.values()].map(n => n.filename).sort(), ['Groceries 2.md', 'Groceries.md']);
+
+    const { frontmatter } = convertNote(notes[0]);
+    assert.ok(frontmatter.includes('title: "Groceries"'), frontmatter);
+    assert.ok(frontmatter.includes('original-title: "Untitled"'), frontmatter);
+    assert.ok(frontmatter.includes('aliases:\n  - "Groceries"'), frontmatter);
+  });
+});
@@ -0,0 +1,437 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseNote } from '../src/parse-note.js';
+import { convertNote } from '../src/convert.js';
+import { writeOutput, planGeneratedFiles } from '../src/writer.js';
+import { buildNameMap } from '../src/names.js';
+import { planAttachments } from '../src/attachments.js';
+import { resolveCollisions, resolveGeneratedFiles } from '../src/conflicts.js';
+import { HOME_NOTE } from '../src/moc.js';
+import { printDryRun } from '../src/dry-run.js';
+
+const fixturesDir = path.join(import.meta.dirname, 'fixtures');
+
+/**
+ * Copy fixtures into a scratch export folder and parse them.
+ */
+function loadExport(srcDir, names) {
+  fs.mkdirSync(srcDir, { recursive: true });
+  return names.map(name => {
+    fs.copyFileSync(path.join(fixturesDir, `${name}.html`), path.join(srcDir, `${name}.html`));
+    return parseNote(path.join(srcDir, `${name}.html`));
+  });
+}
+
+describe('dry run', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zoho-test-dryrun-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('writes nothing but reports planned paths, missing files and existing files', () => {
+    const srcDir = path.join(tmpDir, 'src');
+    const notes = loadExport(srcDir, ['photo-card', 'file-card', 'simple-note']);
+    fs.writeFileSync(path.join(srcDir, 'gsgjkphoto456.png'), 'png');
+
+    const outputDir = path.join(tmpDir, 'vault');
+    fs.mkdirSync(path.join(outputDir, 'test-notebook'), { recursive: true });
+    fs.writeFileSync(path.join(outputDir, 'test-notebook', 'Simple Note.md'), 'mine');
+
+    const converted = notes.map(note => convertNote(note));
+    const stats = writeOutput(notes, converted, buildNameMap(notes), srcDir, outputDir, { dryRun: true });
+
+    assert.deepEqual(fs.readdirSync(outputDir), ['test-notebook']);
+    assert.equal(fs.readFileSync(path.join(outputDir, 'test-notebook', 'Simple Note.md'), 'utf-8'), 'mine');
+
+    assert.deepEqual(stats.noteResults.map(r => r.path), [
+      'photo-album/Photo Card.md',
+      'documents/File Card.md',
+      'test-notebook/Simple Note.md',
+    ]);
+    assert.deepEqual(stats.attachmentResults.map(a => a.path), ['attachments/gsgjkphoto456.png']);
+    assert.deepEqual(stats.missingAttachments.map(m => m.source), ['gsgjkfile789.zip']);
+    assert.deepEqual(stats.existing, ['test-notebook/Simple Note.md']);
+  });
+
+  it('plans the import report where --on-conflict puts it', () => {
+    const srcDir = path.join(tmpDir, 'src');
+    const notes = loadExport(srcDir, ['simple-note']);
+    const outputDir = path.join(tmpDir, 'vault');
+    fs.mkdirSync(outputDir);
+    fs.writeFileSync(path.join(outputDir, 'Import Report.md'), 'my own report');
+    const dryRun = onConflict => writeOutput(notes, notes.map(n => convertNote(n)), buildNameMap(notes), srcDir, outputDir,
+      { dryRun: true, report: true, onConflict });
+
+    assert.equal(dryRun('rename').report, 'Import Report 2.md');
+    assert.equal(dryRun('skip').report, null);
+    const overwritten = dryRun('overwrite');
+    assert.equal(overwritten.report, 'Import Report.md');
+    assert.deepEqual(overwritten.existing, ['Import Report.md']);
+
+    const lines = [];
+    const log = console.log;
+    console.log = line => lines.push(line);
+    try {
+      printDryRun(notes, buildNameMap(notes), dryRun('rename'), outputDir);
+    } finally {
+      console.log = log;
+    }
+    assert.ok(lines.includes('  ./') && lines.includes('    Import Report 2.md'), lines.join('\n'));
+  });
+
+  it('lists a missing file once for every note that refers to it', () => {
+    const srcDir = path.join(tmpDir, 'src');
+    const [note] = loadExport(srcDir, ['file-card']);
+    const notes = [note, { ...note, noteId: 'copy', title: 'File Card Copy' }];
+    const converted = notes.map(n => convertNote(n));
+    const stats = writeOutput(notes, converted, buildNameMap(notes), srcDir, path.join(tmpDir, 'vault'), { dryRun: true });
+
+    assert.deepEqual(stats.missingAttachments.map(m => [m.source, m.noteIndex]),
+      [['gsgjkfile789.zip', 0], ['gsgjkfile789.zip', 1]]);
+  });
+});
+
+describe('incremental re-import', () => {
+  let tmpDir;
+  let srcDir;
+  let outputDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zoho-test-incremental-'));
+    srcDir = path.join(tmpDir, 'src');
+    outputDir = path.join(tmpDir, 'vault');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function run(notes) {
+    const converted = notes.map(note => convertNote(note));
+    return writeOutput(notes, converted, buildNameMap(notes), srcDir, outputDir, { incremental: true });
+  }
+
+  const notePath = (...parts) => path.join(outputDir, 'test-notebook', ...parts);
+
+  it('skips unchanged notes and records state', () => {
+    const notes = loadExport(srcDir, ['simple-note']);
+    const first = run(notes);
+    assert.equal(first.incremental.create.length, 1);
+    assert.ok(fs.existsSync(path.join(outputDir, '.zoho-import-state.json')));
+
+    const second = run(notes);
+    assert.equal(second.incremental.unchanged.length, 1);
+    assert.equal(second.incremental.create.length, 0);
+  });
+
+  it('updates notes changed in Zoho', () => {
+    const [note] = loadExport(srcDir, ['simple-note']);
+    run([note]);
+    const changed = { ...note, modifiedDate: '2025-01-01T00:00:00+0000' };
+    const stats = run([changed]);
+    assert.equal(stats.incremental.update.length, 1);
+    assert.ok(fs.readFileSync(notePath('Simple Note.md'), 'utf-8').includes('modified: 2025-01-01'));
+  });
+
+  it('writes a conflict copy instead of overwriting local edits', () => {
+    const [note] = loadExport(srcDir, ['simple-note']);
+    run([note]);
+    fs.appendFileSync(notePath('Simple Note.md'), '\nMy local edit\n');
+
+    const changed = { ...note, modifiedDate: '2025-01-01T00:00:00+0000' };
+    const stats = run([changed]);
+    assert.deepEqual(stats.incremental.conflict.map(c => c.conflictPath),
+      ['test-notebook/Simple Note (Zoho conflict).md']);
+    assert.ok(fs.readFileSync(notePath('Simple Note.md'), 'utf-8').includes('My local edit'));
+    assert.ok(fs.readFileSync(notePath('Simple Note (Zoho conflict).md'), 'utf-8')
+      .includes('modified: 2025-01-01'));
+
+    // The same Zoho version is not reported again on the next run
+    assert.equal(run([changed]).incremental.unchanged.length, 1);
+  });
+
+  it('leaves notes deleted from the vault out of canvases and index notes', () => {
+    const notes = loadExport(srcDir, ['simple-note', 'checkboxes']);
+    const options = { incremental: true, canvas: true, moc: { sort: 'title' } };
+    const rerun = () => writeOutput(notes, notes.map(note => convertNote(note)), buildNameMap(notes), srcDir, outputDir, options);
+    rerun();
+
+    fs.rmSync(notePath('Simple Note.md'));
+    const second = rerun();
+    assert.deepEqual(second.noteResults.map(r => r.skipped), ['deleted', null]);
+    assert.ok(!fs.existsSync(notePath('Simple Note.md')));
+    assert.ok(!fs.readFileSync(notePath('test-notebook.canvas'), 'utf-8').includes('Simple Note'));
+    assert.ok(!fs.readFileSync(notePath('Test Notebook MOC.md'), 'utf-8').includes('Simple Note'));
+
+    // With the whole folder gone there is nothing left to lay out
+    fs.rmSync(notePath(), { recursive: true });
+    const third = rerun();
+    assert.deepEqual(third.canvases, []);
+    assert.ok(!fs.existsSync(notePath()));
+  });
+
+  it('moves the file when a note is renamed in Zoho', () => {
+    const [note] = loadExport(srcDir, ['simple-note']);
+    run([note]);
+    fs.appendFileSync(notePath('Simple Note.md'), '\nMy local edit\n');
+
+    const renamed = { ...note, title: 'Renamed Note', modifiedDate: '2025-01-01T00:00:00+0000' };
+    const stats = run([renamed]);
+    assert.equal(stats.incremental.conflict[0].from, 'test-notebook/Simple Note.md');
+    assert.ok(!fs.existsSync(notePath('Simple Note.md')));
+    assert.ok(fs.readFileSync(notePath('Renamed Note.md'), 'utf-8').includes('My local edit'));
+    assert.ok(fs.existsSync(notePath('Renamed Note (Zoho conflict).md')));
+  });
+
+  it('moves a tracked note out of the way before another note takes its name', () => {
+    const [simple, checklist] = loadExport(srcDir, ['simple-note', 'checkboxes']);
+    const a = { ...simple, noteId: 'note-a', title: 'Meeting', createdDate: '2024-02-01T10:00:00+0000' };
+    run([a]);
+    fs.appendFileSync(notePath('Meeting.md'), '\nMy local edit\n');
+
+    // An older note with the same title now sorts first and gets "Meeting.md"
+    const b = { ...checklist, noteId: 'note-b', title: 'Meeting', createdDate: '2024-01-01T10:00:00+0000' };
+    const stats = run([b, a]);
+    assert.deepEqual(stats.incremental.move.map(m => [m.from, m.path]),
+      [['test-notebook/Meeting.md', 'test-notebook/Meeting 2.md']]);
+    assert.deepEqual(stats.incremental.create.map(c => c.path), ['test-notebook/Meeting.md']);
+    assert.ok(fs.readFileSync(notePath('Meeting 2.md'), 'utf-8').includes('My local edit'));
+    assert.ok(fs.readFileSync(notePath('Meeting.md'), 'utf-8').includes('- [ ]'));
+
+    const state = JSON.parse(fs.readFileSync(path.join(outputDir, '.zoho-import-state.json'), 'utf-8'));
+    assert.equal(state.notes['note-a'].path, 'test-notebook/Meeting 2.md');
+    assert.equal(state.notes['note-b'].path, 'test-notebook/Meeting.md');
+
+    // The local edit is still recognized on the next run
+    const changed = { ...a, modifiedDate: '2025-01-01T00:00:00+0000' };
+    assert.deepEqual(run([b, changed]).incremental.conflict.map(c => c.path), ['test-notebook/Meeting 2.md']);
+  });
+
+  it('swaps the files of two notes that traded names', () => {
+    const [simple, checklist] = loadExport(srcDir, ['simple-note', 'checkboxes']);
+    const a = { ...simple, noteId: 'note-a', title: 'First' };
+    const b = { ...checklist, noteId: 'note-b', title: 'Second' };
+    run([a, b]);
+    fs.appendFileSync(notePath('First.md'), '\nEdit of A\n');
+    fs.appendFileSync(notePath('Second.md'), '\nEdit of B\n');
+
+    const stats = run([{ ...a, title: 'Second' }, { ...b, title: 'First' }]);
+    // The titles changed too, so both edited notes also get conflict copies
+    assert.deepEqual(stats.incremental.conflict.map(c => [c.from, c.path]), [
+      ['test-notebook/First.md', 'test-notebook/Second.md'],
+      ['test-notebook/Second.md', 'test-notebook/First.md'],
+    ]);
+    assert.ok(fs.readFileSync(notePath('Second.md'), 'utf-8').includes('Edit of A'));
+    assert.ok(fs.readFileSync(notePath('First.md'), 'utf-8').includes('Edit of B'));
+    assert.deepEqual(fs.readdirSync(notePath()).sort(),
+      ['First (Zoho conflict).md', 'First.md', 'Second (Zoho conflict).md', 'Second.md']);
+  });
+
+  it('replaces its own canvas on re-runs, unless it was edited', () => {
+    const notes = loadExport(srcDir, ['simple-note']);
+    const options = { incremental: true, canvas: true };
+    writeOutput(notes, notes.map(note => convertNote(note)), buildNameMap(notes), srcDir, outputDir, options);
+    const resolve = () => resolveGeneratedFiles(planGeneratedFiles(notes, buildNameMap(notes), srcDir, outputDir, options), outputDir, 'fail');
+    assert.deepEqual(resolve(), []);
+
+    fs.appendFileSync(notePath('test-notebook.canvas'), '\n');
+    assert.deepEqual(resolve().map(c => c.path), ['test-notebook/test-notebook.canvas']);
+  });
+});
+
+describe('collision policy (--on-conflict)', () => {
+  let tmpDir;
+  let srcDir;
+  let outputDir;
+  let notes;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zoho-test-conflict-'));
+    srcDir = path.join(tmpDir, 'src');
+    outputDir = path.join(tmpDir, 'vault');
+    notes = loadExport(srcDir, ['photo-card']);
+    fs.writeFileSync(path.join(srcDir, 'gsgjkphoto456.png'), 'zoho-image');
+
+    // The vault already has a different note and image under the same names
+    fs.mkdirSync(path.join(outputDir, 'photo-album'), { recursive: true });
+    fs.mkdirSync(path.join(outputDir, 'attachments'), { recursive: true });
+    fs.writeFileSync(path.join(outputDir, 'photo-album', 'Photo Card.md'), 'vault note');
+    fs.writeFileSync(path.join(outputDir, 'attachments', 'gsgjkphoto456.png'), 'vault-image');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function run(policy) {
+    const nameMap = buildNameMap(notes);
+    const attachmentPlan = planAttachments(notes, srcDir);
+    const collisions = resolveCollisions(nameMap, attachmentPlan, outputDir, policy);
+    const converted = notes.map((note, i) => convertNote(note, new Map(), { attachments: attachmentPlan.get(i) }));
+    writeOutput(notes, converted, nameMap, srcDir, outputDir, { attachmentPlan });
+    return { collisions, converted };
+  }
+
+  const read = (...parts) => fs.readFileSync(path.join(outputDir, ...parts), 'utf-8');
+
+  it('rename: writes under free names and rewrites embeds', () => {
+    const { collisions } = run('rename');
+    assert.deepEqual(collisions.map(c => [c.path, c.renamedTo]), [
+      ['photo-album/Photo Card.md', 'photo-album/Photo Card 2.md'],
+      ['attachments/gsgjkphoto456.png', 'attachments/gsgjkphoto456 2.png'],
+    ]);
+    assert.equal(read('photo-album', 'Photo Card.md'), 'vault note');
+    assert.equal(read('attachments', 'gsgjkphoto456.png'), 'vault-image');
+    assert.equal(read('attachments', 'gsgjkphoto456 2.png'), 'zoho-image');
+    assert.ok(read('photo-album', 'Photo Card 2.md').includes('![[attachments/gsgjkphoto456 2.png]]'));
+  });
+
+  it('skip: leaves existing files untouched', () => {
+    const { collisions } = run('skip');
+    assert.deepEqual(collisions.map(c => c.resolution), ['skipped', 'skipped']);
+    assert.equal(read('photo-album', 'Photo Card.md'), 'vault note');
+    assert.equal(read('attachments', 'gsgjkphoto456.png'), 'vault-image');
+  });
+
+  it('overwrite: replaces existing files and reports them', () => {
+    const { collisions } = run('overwrite');
+    assert.deepEqual(collisions.map(c => c.resolution), ['overwritten', 'overwritten']);
+    assert.equal(read('attachments', 'gsgjkphoto456.png'), 'zoho-image');
+  });
+
+  it('applies to canvases and index notes, but replaces index notes from earlier runs', () => {
+    fs.writeFileSync(path.join(outputDir, 'photo-album', 'photo-album.canvas'), 'vault canvas');
+    fs.writeFileSync(path.join(outputDir, HOME_NOTE), '---\ngenerated-by: zoho-notebook-to-obsidian\n---\nold home\n');
+    const options = { canvas: true, moc: { sort: 'title' } };
+    const plan = policy => {
+      const nameMap = buildNameMap(notes);
+      const attachmentPlan = planAttachments(notes, srcDir);
+      const generatedFiles = planGeneratedFiles(notes, nameMap, srcDir, outputDir, { ...options, attachmentPlan });
+      const collisions = resolveCollisions(nameMap, attachmentPlan, outputDir, policy, new Set(), generatedFiles);
+      return { nameMap, attachmentPlan, generatedFiles, collisions };
+    };
+
+    const failed = plan('fail').collisions.filter(c => c.type === 'generated');
+    assert.deepEqual(failed.map(c => c.path), ['photo-album/photo-album.canvas']);
+
+    const { nameMap, attachmentPlan, generatedFiles } = plan('rename');
+    const converted = notes.map((note, i) => convertNote(note, new Map(), { attachments: attachmentPlan.get(i) }));
+    const stats = writeOutput(notes, converted, nameMap, srcDir, outputDir, { ...options, attachmentPlan, generatedFiles });
+    assert.equal(read('photo-album', 'photo-album.canvas'), 'vault canvas');
+    assert.deepEqual(stats.canvases.map(c => c.path), ['photo-album/photo-album 2.canvas']);
+    assert.ok(read('photo-album', 'photo-album 2.canvas').includes('"file": "attachments/gsgjkphoto456 2.png"'));
+    assert.ok(!read(HOME_NOTE).includes('old home'));
+  });
+
+  it('identical attachments are not collisions', () => {
+    fs.writeFileSync(path.join(outputDir, 'attachments', 'gsgjkphoto456.png'), 'zoho-image');
+    const nameMap = buildNameMap(notes);
+    const collisions = resolveCollisions(nameMap, planAttachments(notes, srcDir), outputDir, 'fail');
+    assert.deepEqual(collisions.map(c => c.type), ['note']);
+  });
+});
+
+describe('unreferenced export files', () => {
+  let tmpDir;
+  let srcDir;
+  let outputDir;
+  let notes;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zoho-test-unreferenced-'));
+    srcDir = path.join(tmpDir, 'src');
+    outputDir = path.join(tmpDir, 'vault');
+    notes = loadExport(srcDir, ['photo-card']);
+    fs.writeFileSync(path.join(srcDir, 'gsgjkphoto456.png'), 'referenced');
+    fs.writeFileSync(path.join(srcDir, 'index.html'), '<html></html>');
+    fs.writeFileSync(path.join(srcDir, 'stray.png'), 'stray');
+    fs.mkdirSync(path.join(srcDir, 'PrivateCovers'));
+    fs.writeFileSync(path.join(srcDir, 'PrivateCovers', 'cover.jpg'), 'cover');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function run(options = {}) {
+    const converted = notes.map(note => convertNote(note));
+    return writeOutput(notes, converted, buildNameMap(notes), srcDir, outputDir, options);
+  }
+
+  it('reports files no note references without copying them', () => {
+    const stats = run();
+    assert.deepEqual(stats.unreferenced.map(u => [u.source, u.path]), [
+      ['PrivateCovers/cover.jpg', null],
+      ['stray.png', null],
+    ]);
+    assert.ok(!fs.existsSync(path.join(outputDir, 'attachments', '_unreferenced')));
+  });
+
+  it('copies them with an index note when asked', () => {
+    const stats = run({ keepUnreferenced: true });
+    assert.deepEqual(stats.unreferenced.map(u => u.path), [
+      'attachments/_unreferenced/PrivateCovers/cover.jpg',
+      'attachments/_unreferenced/stray.png',
+    ]);
+    const unreferencedDir = path.join(outputDir, 'attachments', '_unreferenced');
+    assert.equal(fs.readFileSync(path.join(unreferencedDir, 'stray.png'), 'utf-8'), 'stray');
+    const index = fs.readFileSync(path.join(unreferencedDir, 'Unreferenced files.md'), 'utf-8');
+    assert.ok(index.includes('- [[attachments/_unreferenced/PrivateCovers/cover.jpg]] (PrivateCovers/cover.jpg)'));
+    assert.ok(index.includes('- [[attachments/_unreferenced/stray.png]] (stray.png)'));
+  });
+
+  describe('with files of the vault in the way', () => {
+    const unreferencedDir = () => path.join(outputDir, 'attachments', '_unreferenced');
+    const read = name => fs.readFileSync(path.join(unreferencedDir(), name), 'utf-8');
+
+    beforeEach(() => {
+      fs.mkdirSync(unreferencedDir(), { recursive: true });
+      fs.writeFileSync(path.join(unreferencedDir(), 'stray.png'), 'vault file');
+      fs.writeFileSync(path.join(unreferencedDir(), 'Unreferenced files.md'), 'my own index');
+    });
+
+    function resolved(policy) {
+      const nameMap = buildNameMap(notes);
+      const attachmentPlan = planAttachments(notes, srcDir);
+      const options = { keepUnreferenced: true, attachmentPlan };
+      const generatedFiles = planGeneratedFiles(notes, nameMap, srcDir, outputDir, options);
+      const collisions = resolveCollisions(nameMap, attachmentPlan, outputDir, policy, new Set(), generatedFiles);
+      return { collisions, run: () => run({ ...options, generatedFiles }) };
+    }
+
+    it('fail: reports the copy and the index note as collisions', () => {
+      const { collisions } = resolved('fail');
+      assert.deepEqual(collisions.filter(c => c.type === 'generated').map(c => c.path), [
+        'attachments/_unreferenced/stray.png',
+        'attachments/_unreferenced/Unreferenced files.md',
+      ]);
+    });
+
+    it('skip: keeps the existing files', () => {
+      const stats = resolved('skip').run();
+      assert.deepEqual(stats.unreferenced.map(u => u.path), ['attachments/_unreferenced/PrivateCovers/cover.jpg', null]);
+      assert.equal(read('stray.png'), 'vault file');
+      assert.equal(read('Unreferenced files.md'), 'my own index');
+    });
+
+    it('rename: copies beside them and indexes the new names', () => {
+      const stats = resolved('rename').run();
+      assert.deepEqual(stats.unreferenced.map(u => u.path), [
+        'attachments/_unreferenced/PrivateCovers/cover.jpg',
+        'attachments/_unreferenced/stray 2.png',
+      ]);
+      assert.equal(read('stray.png'), 'vault file');
+      assert.equal(read('stray 2.png'), 'stray');
+      assert.equal(read('Unreferenced files.md'), 'my own index');
+      assert.ok(read('Unreferenced files 2.md').includes('- [[attachments/_unreferenced/stray 2.png]] (stray.png)'));
+    });
+  });
+});
@@ -7,6 +7,7 @@ import * as cheerio from 'cheerio';
 import { create as tarCreate } from 'tar';
 import { convertNote } from '../src/convert.js';
 import { parseZnoteExport, preprocessZnoteHtml } from '../src/parse-znote.js';
+import { findReminders } from '../src/reminders.js';
 
 /**
  * Build a synthetic NoteData object from Znote-style content HTML.
@@ -296,3 +297,117 @@ describe('parseZnoteExport end-to-end', () => {
     }
   });
 });
+
+// --- Section 6: Envelope metadata ---
+
+describe('Znote envelope metadata', () => {
+  let tempDir;
+  let exportDir;
+
+  before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'znote-envelope-'));
+    exportDir = path.join(tempDir, 'export');
+    const notebookDir = path.join(exportDir, 'Notebook');
+    fs.mkdirSync(notebookDir, { recursive: true });
+    fs.writeFileSync(path.join(notebookDir, 'meta.json'), JSON.stringify({ data_type: 'NOTEBOOK', name: 'Notebook' }));
+
+    const znelXml = `<?xml version="1.0" encoding="UTF-8"?>
+<ZNote>
+  <ZMeta>
+    <ZTitle>Trip</ZTitle>
+    <ZNoteType>note/text</ZNoteType>
+    <ZIsLocked>false</ZIsLocked>
+    <ZIsFavorite>true</ZIsFavorite>
+    <ZLocation lat="12.97" lng="77.59">Bengaluru</ZLocation>
+    <ZReminders>
+      <ZReminder><ZReminderTime>2024-05-01T09:00:00+0530</ZReminderTime></ZReminder>
+      <ZReminder><ZReminderTime>2024-05-02T09:00:00+0530</ZReminderTime></ZReminder>
+    </ZReminders>
+    <ZSomethingNew>kept</ZSomethingNew>
+  </ZMeta>
+  <ZContent><![CDATA[<content><div>Hi</div></content>]]></ZContent>
+</ZNote>`;
+    const noteDir = path.join(tempDir, 'tar-staging', 'envnote1');
+    fs.mkdirSync(noteDir, { recursive: true });
+    fs.writeFileSync(path.join(noteDir, 'Note.znel'), znelXml);
+    await tarCreate({ file: path.join(notebookDir, 'envnote1.znote'), cwd: path.join(tempDir, 'tar-staging') }, ['envnote1']);
+  });
+
+  after(() => {
+    if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('keeps unmapped elements, nested and repeated ones included', () => {
+    const { notes, cleanup } = parseZnoteExport(exportDir);
+    try {
+      assert.deepEqual(notes[0].zohoMeta, {
+        'note-type': 'note/text',
+        'is-locked': 'false',
+        'is-favorite': 'true',
+        location: { lat: '12.97', lng: '77.59', value: 'Bengaluru' },
+        reminders: {
+          reminder: [
+            { 'reminder-time': '2024-05-01T09:00:00+0530' },
+            { 'reminder-time': '2024-05-02T09:00:00+0530' },
+          ],
+        },
+        'something-new': 'kept',
+      });
+
+      const { frontmatter } = convertNote(notes[0]);
+      assert.ok(frontmatter.includes([
+        'zoho:',
+        '  id: "envnote1"',
+        '  url: "zohonotebook://notes/envnote1"',
+        '  note-type: "note/text"',
+      ].join('\n')), frontmatter);
+      assert.ok(frontmatter.includes([
+        '  reminders:',
+        '    reminder:',
+        '      - reminder-time: "2024-05-01T09:00:00+0530"',
+        '      - reminder-time: "2024-05-02T09:00:00+0530"',
+      ].join('\n')), frontmatter);
+      assert.ok(frontmatter.includes('  location:\n    lat: "12.97"\n    lng: "77.59"\n    value: "Bengaluru"'));
+
+      assert.deepEqual(notes[0].reminders, ['2024-05-01T09:00:00+0530', '2024-05-02T09:00:00+0530']);
+      assert.ok(frontmatter.includes('reminder:\n  - 2024-05-01T09:00\n  - 2024-05-02T09:00\n'), frontmatter);
+    } finally {
+      cleanup();
+    }
+  });
+});
+
+// --- Section 7: Reminders as task dates ---
+
+describe('reminders as task dates', () => {
+  const checklist = () => {
+    const note = znoteNoteData('<div class="checklist">'
+      + '<div><checkbox checked="false" due-date="2024-05-03T18:30:00+0530">Call</checkbox></div>'
+      + '<div><checkbox checked="false">Buy</checkbox></div>'
+      + '<div><checkbox checked="true">Done</checkbox></div></div>');
+    note.reminders = ['2024-05-01T09:00:00+0530'];
+    return note;
+  };
+
+  it('annotates checklist items that have their own due date', () => {
+    const { frontmatter, body } = convertNote(checklist(), new Map(), { taskDates: true });
+    assert.ok(frontmatter.includes('reminder: 2024-05-01T09:00\n'), frontmatter);
+    assert.equal(body, [
+      '- [ ] Call 📅 2024-05-03 ⏰ 2024-05-03 18:30',
+      '- [ ] Buy',
+      '- [x] Done',
+      '',
+    ].join('\n'));
+  });
+
+  it('leaves items alone without --task-dates', () => {
+    const { body } = convertNote(checklist());
+    assert.ok(!body.includes('📅'), body);
+  });
+
+  it('finds reminders in HTML notecard JSON, including epoch times', () => {
+    assert.deepEqual(findReminders({ name: 'x', reminder: { time: 1714554000000 }, created_date: '2024-01-01' }),
+      ['1714554000000']);
+    assert.deepEqual(findReminders(null), []);
+  });
+});